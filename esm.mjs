@@ -5,33 +5,51 @@ export default function(token, options) {
 }
 
 export const {
+  AbortError,
   Base,
   Bucket,
   Call,
+  CannotMessageUser,
   CategoryChannel,
   Channel,
   Client,
+  ClusterCoordinator,
+  ClusterWorker,
   Collection,
   Command,
   CommandClient,
   Constants,
+  GatewayRecorder,
+  GatewayReplayer,
   HelseliaHTTPError,
   HelseliaRESTError,
   ExtendedUser,
+  FetchTransport,
+  GlobalWebSocket,
   GroupChannel,
   Club,
   ClubChannel,
   ClubIntegration,
   ClubPreview,
+  IPCRatelimitStore,
+  InvalidFormBody,
   Invite,
   Member,
+  MemoryRatelimitStore,
   Message,
+  MissingAccess,
+  MissingPermissions,
+  MockServer,
+  MockWebSocket,
   NewsChannel,
+  Outbox,
   Permission,
   PermissionOverwrite,
   PrivateChannel,
+  RatelimitCoordinator,
   Relationship,
   RequestHandler,
+  ResponseCache,
   Role,
   SequentialBucket,
   Shard,
@@ -39,6 +57,12 @@ export const {
   StoreChannel,
   TextChannel,
   UnavailableClub,
+  UnknownChannel,
+  UnknownClub,
+  UnknownMember,
+  UnknownMessage,
+  UnknownRole,
+  UnknownUser,
   User,
   VERSION,
   VoiceChannel,
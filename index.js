@@ -6,33 +6,51 @@ function Kiera(token, options) {
     return new Client(token, options);
 }
 
+Kiera.AbortError = require("./src/errors/AbortError");
 Kiera.Base = require("./src/structures/Base");
 Kiera.Bucket = require("./src/util/Bucket");
 //Kiera.Call = require("./src/structures/Call");
+Kiera.CannotMessageUser = require("./src/errors/CannotMessageUser");
 Kiera.CategoryChannel = require("./src/structures/CategoryChannel");
 Kiera.Channel = require("./src/structures/Channel");
 Kiera.Client = Client;
+Kiera.ClusterCoordinator = require("./src/gateway/ClusterCoordinator");
+Kiera.ClusterWorker = require("./src/gateway/ClusterWorker");
 Kiera.Collection = require("./src/util/Collection");
 Kiera.Command = require("./src/command/Command");
 Kiera.CommandClient = require("./src/command/CommandClient");
 Kiera.Constants = require("./src/Constants");
+Kiera.GatewayRecorder = require("./src/gateway/GatewayRecorder");
+Kiera.GatewayReplayer = require("./src/gateway/GatewayReplayer");
 Kiera.HelseliaHTTPError = require("./src/errors/HelseliaHTTPError");
 Kiera.HelseliaRESTError = require("./src/errors/HelseliaRESTError");
 Kiera.ExtendedUser = require("./src/structures/ExtendedUser");
+Kiera.FetchTransport = require("./src/rest/FetchTransport");
+Kiera.GlobalWebSocket = require("./src/util/GlobalWebSocket");
 Kiera.GroupChannel = require("./src/structures/GroupChannel");
 Kiera.Club = require("./src/structures/Club");
 Kiera.ClubChannel = require("./src/structures/ClubChannel");
 Kiera.ClubIntegration = require("./src/structures/ClubIntegration");
 Kiera.ClubPreview = require("./src/structures/ClubPreview");
+Kiera.IPCRatelimitStore = require("./src/rest/IPCRatelimitStore");
+Kiera.InvalidFormBody = require("./src/errors/InvalidFormBody");
 Kiera.Invite = require("./src/structures/Invite");
 Kiera.Member = require("./src/structures/Member");
+Kiera.MemoryRatelimitStore = require("./src/rest/MemoryRatelimitStore");
 Kiera.Message = require("./src/structures/Message");
+Kiera.MissingAccess = require("./src/errors/MissingAccess");
+Kiera.MissingPermissions = require("./src/errors/MissingPermissions");
+Kiera.MockServer = require("./src/mock/MockServer");
+Kiera.MockWebSocket = require("./src/mock/MockWebSocket");
 Kiera.NewsChannel = require("./src/structures/NewsChannel");
+Kiera.Outbox = require("./src/rest/Outbox");
 Kiera.Permission = require("./src/structures/Permission");
 Kiera.PermissionOverwrite = require("./src/structures/PermissionOverwrite");
 Kiera.PrivateChannel = require("./src/structures/PrivateChannel");
+Kiera.RatelimitCoordinator = require("./src/rest/RatelimitCoordinator");
 Kiera.Relationship = require("./src/structures/Relationship");
 Kiera.RequestHandler = require("./src/rest/RequestHandler");
+Kiera.ResponseCache = require("./src/rest/ResponseCache");
 Kiera.Role = require("./src/structures/Role");
 Kiera.SequentialBucket = require("./src/util/SequentialBucket");
 Kiera.Shard = require("./src/gateway/Shard");
@@ -40,6 +58,12 @@ Kiera.Shard = require("./src/gateway/Shard");
 Kiera.StoreChannel = require("./src/structures/StoreChannel");
 Kiera.TextChannel = require("./src/structures/TextChannel");
 Kiera.UnavailableClub = require("./src/structures/UnavailableClub");
+Kiera.UnknownChannel = require("./src/errors/UnknownChannel");
+Kiera.UnknownClub = require("./src/errors/UnknownClub");
+Kiera.UnknownMember = require("./src/errors/UnknownMember");
+Kiera.UnknownMessage = require("./src/errors/UnknownMessage");
+Kiera.UnknownRole = require("./src/errors/UnknownRole");
+Kiera.UnknownUser = require("./src/errors/UnknownUser");
 Kiera.User = require("./src/structures/User");
 Kiera.VERSION = require("./package.json").version;
 //Kiera.VoiceChannel = require("./src/structures/VoiceChannel");
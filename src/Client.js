@@ -1,11 +1,13 @@
 /* eslint-disable sort-class-members/sort-class-members */
 "use strict";
 
+const AbortError = require("./errors/AbortError");
 const Base = require("./structures/Base");
 const Channel = require("./structures/Channel");
 const Collection = require("./util/Collection");
 const Constants = require("./Constants");
 const Endpoints = require("./rest/Endpoints");
+const ETF = require("./util/ETF");
 const ExtendedUser = require("./structures/ExtendedUser");
 const GroupChannel = require("./structures/GroupChannel");
 const Club = require("./structures/Club");
@@ -15,6 +17,7 @@ const ClubPreview = require("./structures/ClubPreview");
 const Invite = require("./structures/Invite");
 const Member = require("./structures/Member");
 const Message = require("./structures/Message");
+const Outbox = require("./rest/Outbox");
 const Permission = require("./structures/Permission");
 const PrivateChannel = require("./structures/PrivateChannel");
 const Relationship = require("./structures/Relationship");
@@ -46,23 +49,48 @@ try {
 }
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
 
+function resolveETF(encoding) {
+    if(encoding && typeof encoding === "object" && typeof encoding.pack === "function" && typeof encoding.unpack === "function") {
+        return encoding;
+    }
+    if(encoding === "auto") {
+        return Erlpack || null;
+    }
+    if(encoding === "etf") {
+        return Erlpack || ETF;
+    }
+    if(encoding === "etf-js") {
+        return ETF;
+    }
+    if(encoding === "json") {
+        return null;
+    }
+    throw new TypeError(`Invalid gateway encoding: ${encoding}`);
+}
+
 /**
 * Represents the main Kiera client
 * @extends EventEmitter
 * @prop {Boolean?} bot Whether the bot user belongs to an OAuth2 application
 * @prop {Object} channelClubMap Object mapping channel IDs to club IDs
+* @prop {ClusterWorker?} cluster The ClusterWorker connecting the client to its ClusterCoordinator, if it runs in a cluster worker
+* @prop {String} connectionState The state of the gateway connection across all shards, for display: "connected" if every shard is ready, "connecting" if some shard is connecting or waiting to reconnect, "disconnected" otherwise. "offline" while the network is reported to be down with setOnline(), and "suspended" while suspended with suspend()
+* @prop {Object?} etf The ETF implementation shards encode and decode gateway packets with (erlpack, the pure JavaScript one, or a custom one), or null if they use JSON
 * @prop {String} gatewayURL The URL for the helselia gateway
 * @prop {Collection<GroupChannel>} groupChannels Collection of group channels the bot is in (user accounts only)
 * @prop {Collection<Club>} clubs Collection of clubs the bot is in
 * @prop {Object} clubShardMap Object mapping club IDs to shard IDs
 * @prop {Object} notes Object mapping user IDs to user notes (user accounts only)
+* @prop {Boolean} online Whether the network is up, as last reported with setOnline()
 * @prop {Object} options Kiera options
+* @prop {Outbox?} outbox The outbox queueing message sends, edits and reactions while offline, if the `outbox` option is enabled
 * @prop {Object} privateChannelMap Object mapping user IDs to private channel IDs
 * @prop {Collection<PrivateChannel>} privateChannels Collection of private channels the bot is in
 * @prop {Collection<Relationship>} relationships Collection of relationships the bot user has (user accounts only)
 * @prop {RequestHandler} requestHandler The request handler the client will use
 * @prop {Collection<Shard>} shards Collection of shards Kiera is using
 * @prop {Number} startTime Timestamp of bot ready event
+* @prop {Boolean} suspended Whether the shards were suspended with suspend() and are waiting for wake()
 * @prop {String} token The bot user token
 * @prop {Collection<UnavailableClub>} unavailableClubs Collection of unavailable clubs the bot is in
 * @prop {Number} uptime How long in milliseconds the bot has been up for
@@ -82,12 +110,14 @@ class Client extends EventEmitter {
     * @arg {Boolean | Array<String>} [options.allowedMentions.roles] Whether or not to allow all role mentions, or an array of specific role mentions to allow.
     * @arg {Boolean | Array<String>} [options.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
     * @arg {Boolean} [options.autoreconnect=true] Have Kiera autoreconnect when connection is lost
-    * @arg {Boolean} [options.compress=false] Whether to request WebSocket data to be compressed or not
+    * @arg {Object} [options.closePolicy] Object mapping gateway close codes to what shards do when their connection is closed with them: "resume" reconnects right away and resumes the session if there is one, "retry" reconnects after the backoff delay, "identify" drops the session and reconnects, "fatal" drops the session and stays disconnected. Values may also be objects with `action` and `message` (the error message) properties. Merged with the defaults: 4003, 4006 and 4009 identify, 4004, 4010, 4011, 4013 and 4014 are fatal, other codes resume
+    * @arg {Boolean} [options.compress=false] Whether to request WebSocket data to be compressed or not. Uses zlib-sync if installed, pako otherwise (e.g. on React Native)
     * @arg {Number} [options.connectionTimeout=30000] How long in milliseconds to wait for the connection to handshake with the server
     * @arg {String} [options.defaultImageFormat="jpg"] The default format to provide user avatars, club icons, and group icons in. Can be "jpg", "png", "gif", or "webp"
     * @arg {Number} [options.defaultImageSize=128] The default size to return user avatars, club icons, banners, splashes, and group icons. Can be any power of two between 16 and 2048. If the height and width are different, the width will be the value specified, and the height relative to that
     * @arg {Object} [options.disableEvents] If disableEvents[eventName] is true, the WS event will not be processed. This can cause significant performance increase on large bots. [A full list of the WS event names can be found on the docs reference page](/Kiera/docs/reference#ws-event-names)
     * @arg {Number} [options.firstShardID=0] The ID of the first shard to run for this client
+    * @arg {String | Object} [options.gatewayEncoding="auto"] How gateway packets are encoded. "json" uses JSON, "etf" uses ETF through erlpack if installed or a pure JavaScript implementation otherwise (e.g. on React Native), "etf-js" always uses the pure JavaScript implementation. "auto" uses erlpack if installed and JSON otherwise. An object with erlpack-like `pack(data)` and `unpack(data)` methods may also be passed
     * @arg {Boolean} [options.getAllUsers=false] Get all the users in every club. Ready time will be severely delayed
     * @arg {Number} [options.clubCreateTimeout=2000] How long in milliseconds to wait for a CLUB_CREATE before "ready" is fired. Increase this value if you notice missing clubs
     * @arg {Boolean} [options.clubSubscriptions=true] If false, disables some club subscription events, including typing and presence events. This will reduce processing load, but will also result in inconsistent member caching
@@ -100,10 +130,29 @@ class Client extends EventEmitter {
     * @arg {Number | String} [options.maxShards=1] The total number of shards you want to run. If "auto" Kiera will use Helselia's recommended shard count.
     * @arg {Number} [options.messageLimit=100] The maximum size of a channel message cache
     * @arg {Boolean} [options.opusOnly=false] Whether to suppress the node-opus not found error or not
+    * @arg {Boolean | Object} [options.outbox=false] Whether to queue createMessage(), editMessage() and addMessageReaction() calls (without files) while the device is offline and replay them in order once it is back online. Pass an object to configure the outbox, see Outbox
+    * @arg {Number} [options.outbox.retryInterval=30000] How long in milliseconds to wait before retrying after a network error
+    * @arg {Object} [options.outbox.storage] A Map-like storage backend used to persist the queue across restarts, whose methods may be async. Defaults to an in-memory Map
+    * @arg {Object} [options.ratelimitStore] A store REST requests acquire their ratelimit bucket from, in addition to the in-process SequentialBuckets. Set it to an IPCRatelimitStore connected to a RatelimitCoordinator to share ratelimits between processes using the same token
     * @arg {Number} [options.ratelimiterOffset=0] A number of milliseconds to offset the ratelimit timing calculations by
     * @arg {Number} [options.requestTimeout=15000] A number of milliseconds before requests are considered timed out
     * @arg {Function} [options.reconnectDelay] A function which returns how long the bot should wait until reconnecting to Helselia.
+    * @arg {Object} [options.retryPolicy] How failed REST requests are retried. 429s are always retried according to the ratelimit headers
+    * @arg {Number} [options.retryPolicy.baseDelay=250] The delay in milliseconds before the first retry, doubled for every following attempt
+    * @arg {Array<String>} [options.retryPolicy.errorCodes] Network error codes which are retryable (defaults to "ECONNREFUSED", "ECONNRESET", "ENETWORK", "EPIPE", "ETIMEDOUT" and "EAI_AGAIN")
+    * @arg {Array<String>} [options.retryPolicy.idempotentMethods] HTTP methods which are safe to send twice (defaults to "GET", "HEAD", "PUT", "DELETE" and "OPTIONS")
+    * @arg {Boolean} [options.retryPolicy.jitter=true] Whether to randomize retry delays, to avoid retrying many requests at once
+    * @arg {Number} [options.retryPolicy.maxAttempts=4] The maximum number of times a request is sent, including the first attempt
+    * @arg {Number} [options.retryPolicy.maxDelay=10000] The maximum delay in milliseconds between two attempts
+    * @arg {Boolean | Array<Number>} [options.retryPolicy.retryNonIdempotent=[502]] Whether to retry requests with non-idempotent methods (e.g. POST) on any retryable failure, or an array of status codes on which they are retried. Network errors are only retried for them if this is true
+    * @arg {Array<Number>} [options.retryPolicy.statusCodes=[500, 502, 503, 504]] HTTP status codes which are retryable
+    * @arg {Boolean | Object} [options.restCache=false] Whether to cache the responses of frequently requested GET endpoints (users, user profiles, invites, club previews, club roles and club widgets). Cached responses are revalidated with their ETag once their TTL runs out, and invalidated when the matching gateway event arrives. Pass an object to configure the cache, see ResponseCache
+    * @arg {Object} [options.restCache.routes] Object mapping route templates (e.g. "/users/:id") to TTLs in milliseconds, merged with the defaults
+    * @arg {Object} [options.restCache.storage] A Map-like storage backend, whose methods may be async. Defaults to an in-memory Map
     * @arg {Boolean} [options.restMode=false] Whether to enable getting objects over REST. This should only be enabled if you are not connecting to the gateway. Bot tokens must be prefixed manually in REST mode
+    * @arg {String | Object} [options.restTransport="https"] How REST requests are sent. "https" uses the `https` module, "fetch" uses the global `fetch` API (timeouts via AbortController, decompression handled by the platform). A custom transport object with a `request(options)` method may also be passed, see FetchTransport. File uploads are passed to it as MultipartData bodies rather than arrays of chunks: read them with `stream()`, `toBlob()` or `toFormData()`, or take their `bufs`
+    * @arg {Object} [options.sessionStorage] A Map-like storage backend (`get(key)`, `set(key, value)` and `delete(key)`, which may be async, e.g. an adapter around AsyncStorage) shards save their session ID, sequence and gateway URL in. If set, shards try to resume the saved session when they first connect (e.g. after the app was killed and relaunched) and identify if it is no longer valid. Sessions are stored as plain objects under "kiera:session:<shard ID>" keys
+    * @arg {String | Function} [options.webSocket="auto"] The WebSocket implementation shards use. "ws" uses the `ws` package, "global" uses the standard global WebSocket API through GlobalWebSocket (React Native, browsers, Web Workers). "auto" uses "global" outside of Node.js and "ws" in Node.js. A factory function called with `(url, options)` and returning a `ws`-compatible socket may also be passed
     * @arg {Object} [options.ws] An object of WebSocket options to pass to the shard WebSocket constructors
     */
     constructor(token, options) {
@@ -116,12 +165,14 @@ class Client extends EventEmitter {
                 roles: true
             },
             autoreconnect: true,
+            closePolicy: {},
             compress: false,
             connectionTimeout: 30000,
             defaultImageFormat: "jpg",
             defaultImageSize: 128,
             disableEvents: {},
             firstShardID: 0,
+            gatewayEncoding: "auto",
             getAllUsers: false,
             clubCreateTimeout: 2000,
             clubSubscriptions: true,
@@ -132,18 +183,30 @@ class Client extends EventEmitter {
             maxShards: 1,
             messageLimit: 100,
             opusOnly: false,
+            outbox: false,
             ratelimiterOffset: 0,
             requestTimeout: 15000,
+            restCache: false,
             restMode: false,
+            restTransport: "https",
+            sessionStorage: null,
+            webSocket: "auto",
             ws: {},
             reconnectDelay: (lastDelay, attempts) => Math.pow(attempts + 1, 0.7) * 20000
         }, options);
         this.options.allowedMentions = this._formatAllowedMentions(this.options.allowedMentions);
+        for(const code in this.options.closePolicy) {
+            const policy = this.options.closePolicy[code];
+            const action = typeof policy === "string" ? policy : policy && policy.action;
+            if(!["fatal", "identify", "resume", "retry"].includes(action)) {
+                throw new TypeError(`Invalid close policy action for ${code}: ${action}`);
+            }
+        }
         if(this.options.lastShardID === undefined && this.options.maxShards !== "auto") {
             this.options.lastShardID = this.options.maxShards - 1;
         }
-        if(typeof window !== "undefined" || !ZlibSync) {
-            this.options.compress = false; // zlib does not like Blobs, Pako is not here
+        if(!ZlibSync) {
+            this.options.compress = false; // Neither zlib-sync nor pako is here
         }
         if(!Constants.ImageFormats.includes(this.options.defaultImageFormat.toLowerCase())) {
             throw new TypeError(`Invalid default image format: ${this.options.defaultImageFormat}`);
@@ -177,14 +240,19 @@ class Client extends EventEmitter {
         }
 
         this.token = token;
+        this.etf = resolveETF(this.options.gatewayEncoding);
 
         this.requestHandler = new RequestHandler(this);
+        this.outbox = this.options.outbox ? new Outbox(this, this.options.outbox === true ? {} : this.options.outbox) : null;
 
         this.ready = false;
         this.bot = this.options.restMode && token ? token.startsWith("Bot ") : true;
         this.startTime = 0;
+        this.online = true;
+        this.suspended = false;
         this.lastConnect = 0;
         this.channelClubMap = {};
+        this.cluster = null;
         this.shards = new ShardManager(this);
         this.groupChannels = new Collection(GroupChannel);
         this.clubs = new Collection(Club);
@@ -205,6 +273,24 @@ class Client extends EventEmitter {
         this.connect = this.connect.bind(this);
         this.lastReconnectDelay = 0;
         this.reconnectAttempts = 0;
+        this._connectionState = "disconnected";
+    }
+
+    get connectionState() {
+        if(this.suspended) {
+            return "suspended";
+        }
+        if(!this.online) {
+            return "offline";
+        }
+        const shards = Array.from(this.shards.values());
+        if(shards.length > 0 && shards.every((shard) => shard.status === "ready")) {
+            return "connected";
+        }
+        if(shards.some((shard) => shard.connecting || shard.status !== "disconnected" || shard._reconnectTimeout) || this.shards.connectQueue.length > 0) {
+            return "connecting";
+        }
+        return "disconnected";
     }
 
     get uptime() {
@@ -259,6 +345,9 @@ class Client extends EventEmitter {
         if(reaction === decodeURI(reaction)) {
             reaction = encodeURIComponent(reaction);
         }
+        if(this.outbox) {
+            return this.outbox.request("addMessageReaction", "PUT", Endpoints.CHANNEL_MESSAGE_REACTION_USER(channelID, messageID, reaction, userID || "@me"), true);
+        }
         return this.requestHandler.request("PUT", Endpoints.CHANNEL_MESSAGE_REACTION_USER(channelID, messageID, reaction, userID || "@me"), true);
     }
 
@@ -313,7 +402,22 @@ class Client extends EventEmitter {
     */
     async connect() {
         try {
-            const data = await (this.options.maxShards === "auto" ? this.getBotGateway() : this.getGateway());
+            let data;
+            if(this.options.maxShards === "auto" || this.token.startsWith("Bot ")) {
+                data = await this.getBotGateway();
+            } else if(this.bot) {
+                // Only the bot gateway has the session start limit. Bot tokens may lack their prefix, while user tokens are rejected there
+                const token = this.token;
+                data = await this.getBotGateway().catch((err) => {
+                    if(!err.res || err.res.statusCode !== 401) {
+                        throw err;
+                    }
+                    this.token = token;
+                    return this.getGateway();
+                });
+            } else {
+                data = await this.getGateway();
+            }
             if(!data.url || (this.options.maxShards === "auto" && !data.shards)) {
                 throw new Error("Invalid response from gateway REST call");
             }
@@ -323,12 +427,16 @@ class Client extends EventEmitter {
             if(!data.url.endsWith("/")) {
                 data.url += "/";
             }
-            this.gatewayURL = `${data.url}?v=${Constants.GATEWAY_VERSION}&encoding=${Erlpack ? "etf" : "json"}`;
+            this.gatewayURL = `${data.url}?v=${Constants.GATEWAY_VERSION}&encoding=${this.etf ? "etf" : "json"}`;
 
             if(this.options.compress) {
                 this.gatewayURL += "&compress=zlib-stream";
             }
 
+            if(data.session_start_limit) {
+                this.shards.setSessionStartLimit(data.session_start_limit);
+            }
+
             if(this.options.maxShards === "auto") {
                 if(!data.shards) {
                     throw new Error("Failed to autoshard due to lack of data from Helselia.");
@@ -508,13 +616,18 @@ class Client extends EventEmitter {
     * @arg {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
     * @arg {String} content.content A content string
     * @arg {Object} [content.embed] An embed object. See [the official Helselia API documentation entry](https://helselia.com/developers/docs/resources/channel#embed-object) for object structure
+    * @arg {String} [content.nonce] A nonce sent with the message. If the outbox is enabled, it also identifies the outbox entry (one is generated otherwise) and is enforced, so replaying the entry never posts the message twice
     * @arg {Boolean} [content.tts] Set the message TTS flag
     * @arg {Object | Array<Object>} [file] A file object (or an Array of them)
-    * @arg {Buffer} file.file A buffer containing file data
+    * @arg {ArrayBuffer | AsyncIterable | Blob | Buffer | Object | ReadableStream | Uint8Array} file.file The file data. Objects with an `uri` property are treated as React Native file descriptors
+    * @arg {String} [file.contentType] The Content-Type of the file. Inferred from the file name if not specified
     * @arg {String} file.name What to name the file
+    * @arg {Object} [options] Request options
+    * @arg {Function} [options.onUploadProgress] Called with `(loaded, total)` while the file is uploaded. `total` is null if the size of the upload is unknown
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the request
     * @returns {Promise<Message>}
     */
-    createMessage(channelID, content, file) {
+    createMessage(channelID, content, file, options) {
         if(content !== undefined) {
             if(typeof content !== "object" || content === null) {
                 content = {
@@ -529,7 +642,10 @@ class Client extends EventEmitter {
         } else if(!file) {
             return Promise.reject(new Error("No content, file, or embed"));
         }
-        return this.requestHandler.request("POST", Endpoints.CHANNEL_MESSAGES(channelID), true, content, file).then((message) => new Message(message, this));
+        if(this.outbox && !file) {
+            return this.outbox.request("createMessage", "POST", Endpoints.CHANNEL_MESSAGES(channelID), true, content, content.nonce, options).then((message) => new Message(message, this));
+        }
+        return this.requestHandler.request("POST", Endpoints.CHANNEL_MESSAGES(channelID), true, content, file, undefined, false, options).then((message) => new Message(message, this));
     }
 
     /**
@@ -645,28 +761,36 @@ class Client extends EventEmitter {
     * Delete a message
     * @arg {String} channelID The ID of the channel
     * @arg {String} messageID The ID of the message
-    * @arg {String} [reason] The reason to be displayed in audit logs
+    * @arg {String | Object} [reason] The reason to be displayed in audit logs. If an object is passed, it is treated as `options` (see below)
+    * @arg {Object} [options] Options to use instead of the positional arguments
+    * @arg {String} [options.reason] The reason to be displayed in audit logs
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the request
     * @returns {Promise}
     */
     deleteMessage(channelID, messageID, reason) {
+        const options = typeof reason === "object" && reason !== null ? reason : {reason};
         return this.requestHandler.request("DELETE", Endpoints.CHANNEL_MESSAGE(channelID, messageID), true, {
-            reason
-        });
+            reason: options.reason
+        }, undefined, undefined, false, {signal: options.signal});
     }
 
     /**
     * Bulk delete messages (bot accounts only)
     * @arg {String} channelID The ID of the channel
     * @arg {Array<String>} messageIDs Array of message IDs to delete
-    * @arg {String} [reason] The reason to be displayed in audit logs
+    * @arg {String | Object} [reason] The reason to be displayed in audit logs. If an object is passed, it is treated as `options` (see below)
+    * @arg {Object} [options] Options to use instead of the positional arguments
+    * @arg {String} [options.reason] The reason to be displayed in audit logs
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the requests. Messages deleted before the signal fired stay deleted
     * @returns {Promise}
     */
     deleteMessages(channelID, messageIDs, reason) {
+        const options = typeof reason === "object" && reason !== null ? reason : {reason};
         if(messageIDs.length === 0) {
             return Promise.resolve();
         }
         if(messageIDs.length === 1) {
-            return this.deleteMessage(channelID, messageIDs[0]);
+            return this.deleteMessage(channelID, messageIDs[0], options);
         }
 
         const oldestAllowedSnowflake = (Date.now() - 1421280000000) * 4194304;
@@ -678,13 +802,13 @@ class Client extends EventEmitter {
         if(messageIDs.length > 100) {
             return this.requestHandler.request("POST", Endpoints.CHANNEL_BULK_DELETE(channelID), true, {
                 messages: messageIDs.splice(0, 100),
-                reason: reason
-            }).then(() => this.deleteMessages(channelID, messageIDs));
+                reason: options.reason
+            }, undefined, undefined, false, {signal: options.signal}).then(() => this.deleteMessages(channelID, messageIDs, options));
         }
         return this.requestHandler.request("POST", Endpoints.CHANNEL_BULK_DELETE(channelID), true, {
             messages: messageIDs,
-            reason: reason
-        });
+            reason: options.reason
+        }, undefined, undefined, false, {signal: options.signal});
     }
 
     /**
@@ -1002,6 +1126,9 @@ class Client extends EventEmitter {
             }
             content.allowed_mentions = this._formatAllowedMentions(content.allowedMentions);
         }
+        if(this.outbox) {
+            return this.outbox.request("editMessage", "PATCH", Endpoints.CHANNEL_MESSAGE(channelID, messageID), true, content).then((message) => new Message(message, this));
+        }
         return this.requestHandler.request("PATCH", Endpoints.CHANNEL_MESSAGE(channelID, messageID), true, content).then((message) => new Message(message, this));
     }
 
@@ -1260,8 +1387,11 @@ class Client extends EventEmitter {
     * @arg {String} [options.content=""] A content string
     * @arg {Array<Object>} [options.embeds] An array of Helselia embeds
     * @arg {Object | Array<Object>} [options.file] A file object (or an Array of them)
-    * @arg {Buffer} options.file.file A buffer containing file data
+    * @arg {ArrayBuffer | AsyncIterable | Blob | Buffer | Object | ReadableStream | Uint8Array} options.file.file The file data. Objects with an `uri` property are treated as React Native file descriptors
+    * @arg {String} [options.file.contentType] The Content-Type of the file. Inferred from the file name if not specified
     * @arg {String} options.file.name What to name the file
+    * @arg {Function} [options.onUploadProgress] Called with `(loaded, total)` while the file is uploaded. `total` is null if the size of the upload is unknown
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the request
     * @arg {Boolean} [options.tts=false] Whether the message should be a TTS message or not
     * @arg {String} [options.username] A custom username, defaults to webhook default username if not specified
     * @arg {Boolean} [options.wait=false] Whether to wait for the server to confirm the message create or not
@@ -1278,7 +1408,10 @@ class Client extends EventEmitter {
             avatar_url: options.avatarURL,
             tts: options.tts,
             allowed_mentions: this._formatAllowedMentions(options.allowedMentions)
-        }, options.file).then((response) => options.wait ? new Message(response, this) : undefined);
+        }, options.file, undefined, false, {
+            onUploadProgress: options.onUploadProgress,
+            signal: options.signal
+        }).then((response) => options.wait ? new Message(response, this) : undefined);
     }
 
     /**
@@ -1362,17 +1495,23 @@ class Client extends EventEmitter {
     /**
     * Get the audit logs for a club
     * @arg {String} clubID The ID of the club to get audit logs for
-    * @arg {Number} [limit=50] The maximum number of entries to return
+    * @arg {Number | Object} [limit=50] The maximum number of entries to return. If an object is passed, it is treated as `options` (see below)
     * @arg {String} [before] Get entries before this entry ID
     * @arg {Number} [actionType] Filter entries by action type
+    * @arg {Object} [options] Options to use instead of the positional arguments
+    * @arg {Number} [options.actionType] Filter entries by action type
+    * @arg {String} [options.before] Get entries before this entry ID
+    * @arg {Number} [options.limit=50] The maximum number of entries to return
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the request
     * @returns {Promise<Object>} Resolves with {users: Users[], entries: ClubAuditLogEntry[]}
     */
     getClubAuditLogs(clubID, limit, before, actionType) {
+        const options = typeof limit === "object" && limit !== null ? limit : {limit, before, actionType};
         return this.requestHandler.request("GET", Endpoints.CLUB_AUDIT_LOGS(clubID), true, {
-            limit: limit || 50,
-            before: before,
-            action_type: actionType
-        }).then((data) => {
+            limit: options.limit || 50,
+            before: options.before,
+            action_type: options.actionType
+        }, undefined, undefined, false, {signal: options.signal}).then((data) => {
             const club = this.clubs.get(clubID);
             return {
                 users: data.users.map((user) => this.users.add(user, this)),
@@ -1499,32 +1638,48 @@ class Client extends EventEmitter {
     * @arg {String} channelID The ID of the channel
     * @arg {String} messageID The ID of the message
     * @arg {String} reaction The reaction (Unicode string if Unicode emoji, `emojiName:emojiID` if custom emoji)
-    * @arg {Number} [limit=100] The maximum number of users to get
+    * @arg {Number | Object} [limit=100] The maximum number of users to get. If an object is passed, it is treated as `options` (see below)
     * @arg {String} [before] Get users before this user ID
     * @arg {String} [after] Get users after this user ID
+    * @arg {Object} [options] Options to use instead of the positional arguments
+    * @arg {String} [options.after] Get users after this user ID
+    * @arg {String} [options.before] Get users before this user ID
+    * @arg {Number} [options.limit=100] The maximum number of users to get
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the request
     * @returns {Promise<Array<User>>}
     */
     getMessageReaction(channelID, messageID, reaction, limit, before, after) {
+        const options = typeof limit === "object" && limit !== null ? limit : {limit, before, after};
         if(reaction === decodeURI(reaction)) {
             reaction = encodeURIComponent(reaction);
         }
         return this.requestHandler.request("GET", Endpoints.CHANNEL_MESSAGE_REACTION(channelID, messageID, reaction), true, {
-            limit: limit || 100,
-            before: before,
-            after: after
-        }).then((users) => users.map((user) => new User(user, this)));
+            limit: options.limit || 100,
+            before: options.before,
+            after: options.after
+        }, undefined, undefined, false, {signal: options.signal}).then((users) => users.map((user) => new User(user, this)));
     }
 
     /**
     * Get previous messages in a channel
     * @arg {String} channelID The ID of the channel
-    * @arg {Number} [limit=50] The max number of messages to get
+    * @arg {Number | Object} [limit=50] The max number of messages to get. If an object is passed, it is treated as `options` (see below)
     * @arg {String} [before] Get messages before this message ID
     * @arg {String} [after] Get messages after this message ID
     * @arg {String} [around] Get messages around this message ID (does not work with limit > 100)
+    * @arg {Object} [options] Options to use instead of the positional arguments
+    * @arg {String} [options.after] Get messages after this message ID
+    * @arg {String} [options.around] Get messages around this message ID (does not work with limit > 100)
+    * @arg {String} [options.before] Get messages before this message ID
+    * @arg {Number} [options.limit=50] The max number of messages to get
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the remaining requests
     * @returns {Promise<Array<Message>>}
     */
     async getMessages(channelID, limit = 50, before, after, around) {
+        let signal;
+        if(typeof limit === "object" && limit !== null) {
+            ({limit = 50, before, after, around, signal} = limit);
+        }
         if(limit && limit > 100) {
             let logs = [];
             const get = async (_before, _after) => {
@@ -1532,7 +1687,7 @@ class Client extends EventEmitter {
                     limit: 100,
                     before: _before || undefined,
                     after: _after || undefined
-                });
+                }, undefined, undefined, false, {signal});
                 if(limit <= messages.length) {
                     return (_after ? messages.slice(messages.length - limit, messages.length).map((message) => new Message(message, this)).concat(logs) : logs.concat(messages.slice(0, limit).map((message) => new Message(message, this))));
                 }
@@ -1551,7 +1706,7 @@ class Client extends EventEmitter {
             before,
             after,
             around
-        });
+        }, undefined, undefined, false, {signal});
         return messages.map((message) => {
             try {
                 return new Message(message, this);
@@ -1677,18 +1832,23 @@ class Client extends EventEmitter {
     /**
     * Get a club's members via the REST API. REST mode is required to use this endpoint.
     * @arg {String} clubID The ID of the club
-    * @arg {Number} [limit=1] The max number of members to get (1 to 1000)
+    * @arg {Number | Object} [limit=1] The max number of members to get (1 to 1000). If an object is passed, it is treated as `options` (see below)
     * @arg {String} [after] The highest user ID of the previous page
+    * @arg {Object} [options] Options to use instead of the positional arguments
+    * @arg {String} [options.after] The highest user ID of the previous page
+    * @arg {Number} [options.limit=1] The max number of members to get (1 to 1000)
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the request
     * @returns {Promise<Array<Member>>}
     */
     getRESTClubMembers(clubID, limit, after) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Kiera REST mode is not enabled"));
         }
+        const options = typeof limit === "object" && limit !== null ? limit : {limit, after};
         return this.requestHandler.request("GET", Endpoints.CLUB_MEMBERS(clubID), true, {
-            limit,
-            after
-        }).then((members) => members.map((member) => new Member(member, this.clubs.get(clubID), this)));
+            limit: options.limit,
+            after: options.after
+        }, undefined, undefined, false, {signal: options.signal}).then((members) => members.map((member) => new Member(member, this.clubs.get(clubID), this)));
     }
 
     /**
@@ -1705,20 +1865,26 @@ class Client extends EventEmitter {
 
     /**
     * Get a list of the user's clubs via the REST API. REST mode is required to use this endpoint.
-    * @arg {Number} [limit=100] The max number of clubs to get (1 to 1000)
+    * @arg {Number | Object} [limit=100] The max number of clubs to get (1 to 1000). If an object is passed, it is treated as `options` (see below)
     * @arg {String} [before] The lowest club ID of the next page
     * @arg {String} [after] The highest club ID of the previous page
+    * @arg {Object} [options] Options to use instead of the positional arguments
+    * @arg {String} [options.after] The highest club ID of the previous page
+    * @arg {String} [options.before] The lowest club ID of the next page
+    * @arg {Number} [options.limit=100] The max number of clubs to get (1 to 1000)
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the request
     * @returns {Promise<Array<Club>>}
     */
     getRESTClubs(limit, before, after) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Kiera REST mode is not enabled"));
         }
+        const options = typeof limit === "object" && limit !== null ? limit : {limit, before, after};
         return this.requestHandler.request("GET", Endpoints.USER_CLUBS("@me"), true, {
-            limit,
-            before,
-            after
-        }).then((clubs) => clubs.map((club) => new Club(club, this)));
+            limit: options.limit,
+            before: options.before,
+            after: options.after
+        }, undefined, undefined, false, {signal: options.signal}).then((clubs) => clubs.map((club) => new Club(club, this)));
     }
 
     /**
@@ -1814,6 +1980,212 @@ class Client extends EventEmitter {
         return this.requestHandler.request("GET", token ? Endpoints.WEBHOOK_TOKEN(webhookID, token) : Endpoints.WEBHOOK(webhookID), !token);
     }
 
+    /**
+    * Iterate over the audit logs of a club, newest entries first. Pages are requested lazily, so breaking out of the loop stops further requests
+    * @arg {String} clubID The ID of the club to get audit logs for
+    * @arg {Object} [options] Iteration options
+    * @arg {Number} [options.actionType] Filter entries by action type
+    * @arg {String} [options.before] Get entries before this entry ID
+    * @arg {Function} [options.filter] Optional filter function that returns a boolean when passed a ClubAuditLogEntry object
+    * @arg {Number} [options.limit=Infinity] The maximum number of entries to yield
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the iteration
+    * @returns {AsyncIterableIterator<ClubAuditLogEntry>}
+    */
+    async *iterateClubAuditLogs(clubID, options = {}) {
+        let limit = options.limit === undefined ? Infinity : options.limit;
+        let before = options.before;
+        while(limit > 0) {
+            const {entries} = await this.getClubAuditLogs(clubID, {
+                limit: 100,
+                before: before,
+                actionType: options.actionType,
+                signal: options.signal
+            });
+            if(entries.length === 0) {
+                return;
+            }
+            before = entries[entries.length - 1].id;
+            for(const entry of entries) {
+                if(!options.filter || options.filter(entry)) {
+                    yield entry;
+                    if(--limit <= 0) {
+                        return;
+                    }
+                }
+            }
+            if(entries.length < 100) {
+                return;
+            }
+        }
+    }
+
+    /**
+    * Iterate over the users who reacted with a specific reaction. Pages are requested lazily, so breaking out of the loop stops further requests
+    * @arg {String} channelID The ID of the channel
+    * @arg {String} messageID The ID of the message
+    * @arg {String} reaction The reaction (Unicode string if Unicode emoji, `emojiName:emojiID` if custom emoji)
+    * @arg {Object} [options] Iteration options
+    * @arg {String} [options.after] Get users after this user ID
+    * @arg {Function} [options.filter] Optional filter function that returns a boolean when passed a User object
+    * @arg {Number} [options.limit=Infinity] The maximum number of users to yield
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the iteration
+    * @returns {AsyncIterableIterator<User>}
+    */
+    async *iterateMessageReaction(channelID, messageID, reaction, options = {}) {
+        let limit = options.limit === undefined ? Infinity : options.limit;
+        let after = options.after;
+        while(limit > 0) {
+            const users = await this.getMessageReaction(channelID, messageID, reaction, {
+                limit: 100,
+                after: after,
+                signal: options.signal
+            });
+            if(users.length === 0) {
+                return;
+            }
+            after = users[users.length - 1].id;
+            for(const user of users) {
+                if(!options.filter || options.filter(user)) {
+                    yield user;
+                    if(--limit <= 0) {
+                        return;
+                    }
+                }
+            }
+            if(users.length < 100) {
+                return;
+            }
+        }
+    }
+
+    /**
+    * Iterate over previous messages in a channel. Messages are yielded newest first, or oldest first if only `after` is passed. Pages are requested lazily, so breaking out of the loop stops further requests
+    * @arg {String} channelID The ID of the channel
+    * @arg {Object} [options] Iteration options
+    * @arg {String} [options.after] Get messages after this message ID
+    * @arg {String} [options.before] Get messages before this message ID
+    * @arg {Function} [options.filter] Optional filter function that returns a boolean when passed a Message object
+    * @arg {Number} [options.limit=Infinity] The maximum number of messages to yield
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the iteration
+    * @returns {AsyncIterableIterator<Message>}
+    */
+    async *iterateMessages(channelID, options = {}) {
+        let limit = options.limit === undefined ? Infinity : options.limit;
+        let before = options.before;
+        let after = options.after;
+        const forward = after !== undefined && before === undefined;
+        while(limit > 0) {
+            const messages = await this.getMessages(channelID, {
+                limit: 100,
+                before: before,
+                after: after,
+                signal: options.signal
+            });
+            if(messages.length === 0) {
+                return;
+            }
+            if(forward) {
+                messages.reverse();
+                after = messages[messages.length - 1].id;
+            } else {
+                before = messages[messages.length - 1].id;
+            }
+            for(const message of messages) {
+                if(message && (!options.filter || options.filter(message))) {
+                    yield message;
+                    if(--limit <= 0) {
+                        return;
+                    }
+                }
+            }
+            if(messages.length < 100) {
+                return;
+            }
+        }
+    }
+
+    /**
+    * Iterate over a club's members via the REST API, in ascending user ID order. REST mode is required to use this endpoint. Pages are requested lazily, so breaking out of the loop stops further requests
+    * @arg {String} clubID The ID of the club
+    * @arg {Object} [options] Iteration options
+    * @arg {String} [options.after] Get members after this user ID
+    * @arg {Function} [options.filter] Optional filter function that returns a boolean when passed a Member object
+    * @arg {Number} [options.limit=Infinity] The maximum number of members to yield
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the iteration
+    * @returns {AsyncIterableIterator<Member>}
+    */
+    async *iterateRESTClubMembers(clubID, options = {}) {
+        let limit = options.limit === undefined ? Infinity : options.limit;
+        let after = options.after;
+        while(limit > 0) {
+            const members = await this.getRESTClubMembers(clubID, {
+                limit: 1000,
+                after: after,
+                signal: options.signal
+            });
+            if(members.length === 0) {
+                return;
+            }
+            after = members[members.length - 1].id;
+            for(const member of members) {
+                if(!options.filter || options.filter(member)) {
+                    yield member;
+                    if(--limit <= 0) {
+                        return;
+                    }
+                }
+            }
+            if(members.length < 1000) {
+                return;
+            }
+        }
+    }
+
+    /**
+    * Iterate over the user's clubs via the REST API. Clubs are yielded in ascending ID order, or descending if only `before` is passed. REST mode is required to use this endpoint. Pages are requested lazily, so breaking out of the loop stops further requests
+    * @arg {Object} [options] Iteration options
+    * @arg {String} [options.after] Get clubs after this club ID
+    * @arg {String} [options.before] Get clubs before this club ID
+    * @arg {Function} [options.filter] Optional filter function that returns a boolean when passed a Club object
+    * @arg {Number} [options.limit=Infinity] The maximum number of clubs to yield
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the iteration
+    * @returns {AsyncIterableIterator<Club>}
+    */
+    async *iterateRESTClubs(options = {}) {
+        let limit = options.limit === undefined ? Infinity : options.limit;
+        let before = options.before;
+        let after = options.after;
+        const backward = before !== undefined && after === undefined;
+        while(limit > 0) {
+            const clubs = await this.getRESTClubs({
+                limit: 100,
+                before: before,
+                after: after,
+                signal: options.signal
+            });
+            if(clubs.length === 0) {
+                return;
+            }
+            if(backward) {
+                clubs.reverse();
+                before = clubs[clubs.length - 1].id;
+            } else {
+                after = clubs[clubs.length - 1].id;
+            }
+            for(const club of clubs) {
+                if(!options.filter || options.filter(club)) {
+                    yield club;
+                    if(--limit <= 0) {
+                        return;
+                    }
+                }
+            }
+            if(clubs.length < 100) {
+                return;
+            }
+        }
+    }
+
     /**
     * Join a voice channel. If joining a group call, the voice connection ID will be stored in voiceConnections as "call". Otherwise, it will be the club ID
     * @arg {String} channelID The ID of the voice channel
@@ -1907,14 +2279,25 @@ class Client extends EventEmitter {
     /**
     * Purge previous messages in a channel with an optional filter (bot accounts only)
     * @arg {String} channelID The ID of the channel
-    * @arg {Number} limit The max number of messages to search through, -1 for no limit
+    * @arg {Number | Object} limit The max number of messages to search through, -1 for no limit. If an object is passed, it is treated as `options` (see below)
     * @arg {Function} [filter] Optional filter function that returns a boolean when passed a Message object
     * @arg {String} [before] Get messages before this message ID
     * @arg {String} [after] Get messages after this message ID
     * @arg {String} [reason] The reason to be displayed in audit logs
+    * @arg {Object} [options] Options to use instead of the positional arguments
+    * @arg {String} [options.after] Get messages after this message ID
+    * @arg {String} [options.before] Get messages before this message ID
+    * @arg {Function} [options.filter] Optional filter function that returns a boolean when passed a Message object
+    * @arg {Number} options.limit The max number of messages to search through, -1 for no limit
+    * @arg {String} [options.reason] The reason to be displayed in audit logs
+    * @arg {AbortSignal} [options.signal] A signal used to stop purging. Messages deleted before the signal fired stay deleted
     * @returns {Promise<Number>} Resolves with the number of messages deleted
     */
     async purgeChannel(channelID, limit, filter, before, after, reason) {
+        let signal;
+        if(typeof limit === "object" && limit !== null) {
+            ({limit, filter, before, after, reason, signal} = limit);
+        }
         if(typeof filter === "string") {
             filter = (msg) => msg.content.includes(filter);
         }
@@ -1926,9 +2309,12 @@ class Client extends EventEmitter {
         let done = false;
         const checkToDelete = async () => {
             const messageIDs = (done && toDelete) || (toDelete.length >= 100 && toDelete.splice(0, 100));
+            if(signal && signal.aborted) {
+                throw new AbortError("POST", Endpoints.CHANNEL_BULK_DELETE(channelID));
+            }
             if(messageIDs) {
                 deleted += messageIDs.length;
-                await this.deleteMessages(channelID, messageIDs, reason);
+                await this.deleteMessages(channelID, messageIDs, {reason, signal});
                 if(done) {
                     return deleted;
                 }
@@ -1942,7 +2328,12 @@ class Client extends EventEmitter {
             }
         };
         const del = async (_before, _after) => {
-            const messages = await this.getMessages(channelID, 100, _before, _after);
+            const messages = await this.getMessages(channelID, {
+                limit: 100,
+                before: _before,
+                after: _after,
+                signal: signal
+            });
             if(limit !== -1 && limit <= 0) {
                 done = true;
                 return;
@@ -2180,6 +2571,57 @@ class Client extends EventEmitter {
         return this.requestHandler.request("POST", Endpoints.CHANNEL_TYPING(channelID), true);
     }
 
+    /**
+    * Report whether the network is up, e.g. from a connectivity listener like NetInfo. While offline, shards do not attempt to reconnect. Once back online, disconnected shards reconnect right away with their backoff reset, connected shards send a heartbeat to check their connection, and the outbox (if enabled) is flushed
+    * @arg {Boolean} online Whether the network is up
+    */
+    setOnline(online) {
+        online = !!online;
+        if(this.online === online) {
+            return;
+        }
+        this.online = online;
+        if(this.outbox) {
+            this.outbox.setOnline(online).catch((err) => this.outbox._emitError(err));
+        }
+        if(online) {
+            this.lastReconnectDelay = 0;
+            this.reconnectAttempts = 0;
+            if(!this.suspended) {
+                this._reconnectShards();
+            }
+        }
+        this._updateConnectionState();
+    }
+
+    /**
+    * Suspend all shards, e.g. when the app moves to the background and the OS is about to freeze its JavaScript. Heartbeats stop and the sockets are closed without ending their sessions, which stay resumable (and are saved if the `sessionStorage` option is set). Shards do not reconnect until wake() is called
+    */
+    suspend() {
+        if(this.suspended) {
+            return;
+        }
+        this.suspended = true;
+        for(const shard of this.shards.connectQueue) {
+            shard._reconnectPending = true;
+        }
+        this.shards.connectQueue = [];
+        if(this.shards.connectTimeout) {
+            clearTimeout(this.shards.connectTimeout);
+            this.shards.connectTimeout = null;
+        }
+        this.shards.forEach((shard) => {
+            // Shards which are down for good (e.g. closed with reconnect: false or a fatal close code) stay down on wake()
+            if(shard.ws || shard._reconnectTimeout) {
+                shard._reconnectPending = true;
+            }
+            shard.disconnect({
+                reconnect: true
+            });
+        });
+        this._updateConnectionState();
+    }
+
     /**
     * Force a club integration to sync
     * @arg {String} clubID The ID of the club
@@ -2213,6 +2655,18 @@ class Client extends EventEmitter {
         return this.requestHandler.request("DELETE", Endpoints.CHANNEL_PIN(channelID, messageID), true);
     }
 
+    /**
+    * Wake the shards, e.g. when the app returns to the foreground. Disconnected shards reconnect right away, resuming their session if they have one, instead of waiting for the reconnect backoff. If the network is reported to be down with setOnline(), they wait until it is back up
+    * Connected shards (e.g. if the app was frozen without calling suspend()) send a heartbeat, and reconnect right away if the previous one was never acknowledged
+    */
+    wake() {
+        this.suspended = false;
+        if(this.online) {
+            this._reconnectShards();
+        }
+        this._updateConnectionState();
+    }
+
     _formatAllowedMentions(allowed) {
         if(!allowed) {
             return this.options.allowedMentions;
@@ -2252,6 +2706,38 @@ class Client extends EventEmitter {
         return `${Endpoints.CDN_URL}${url}.${format}?size=${size}`;
     }
 
+    _reconnectShards() {
+        this.shards.forEach((shard) => {
+            if(shard._reconnectTimeout) {
+                clearTimeout(shard._reconnectTimeout);
+                shard._reconnectTimeout = null;
+                shard._reconnectPending = true;
+            }
+            if(shard._reconnectPending && shard.status === "disconnected" && !shard.connecting) {
+                shard.reconnectInterval = 1000;
+                this.shards.connect(shard);
+            } else if(shard.status === "ready") {
+                shard.heartbeat(true);
+            }
+        });
+    }
+
+    _updateConnectionState() {
+        const state = this.connectionState;
+        if(state === this._connectionState) {
+            return;
+        }
+        const oldState = this._connectionState;
+        this._connectionState = state;
+        /**
+        * Fired when the connection state across all shards changes, see Client#connectionState
+        * @event Client#connectionStateChange
+        * @prop {String} state The new state
+        * @prop {String} oldState The old state
+        */
+        this.emit("connectionStateChange", state, oldState);
+    }
+
     toString() {
         return `[Client ${this.user.id}]`;
     }
@@ -2264,6 +2750,8 @@ class Client extends EventEmitter {
             "ready",
             "bot",
             "startTime",
+            "online",
+            "suspended",
             "lastConnect",
             "channelClubMap",
             "shards",
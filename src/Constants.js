@@ -227,3 +227,63 @@ module.exports.Intents = {
     directMessageReactions: 1 << 13,
     directMessageTyping:    1 << 14
 };
+
+module.exports.JSONErrorCodes = {
+    GENERAL_ERROR:                        0,
+    UNKNOWN_ACCOUNT:                      10001,
+    UNKNOWN_APPLICATION:                  10002,
+    UNKNOWN_CHANNEL:                      10003,
+    UNKNOWN_CLUB:                         10004,
+    UNKNOWN_INTEGRATION:                  10005,
+    UNKNOWN_INVITE:                       10006,
+    UNKNOWN_MEMBER:                       10007,
+    UNKNOWN_MESSAGE:                      10008,
+    UNKNOWN_OVERWRITE:                    10009,
+    UNKNOWN_PROVIDER:                     10010,
+    UNKNOWN_ROLE:                         10011,
+    UNKNOWN_TOKEN:                        10012,
+    UNKNOWN_USER:                         10013,
+    UNKNOWN_EMOJI:                        10014,
+    UNKNOWN_WEBHOOK:                      10015,
+    UNKNOWN_BAN:                          10026,
+    BOT_ENDPOINT:                         20001,
+    NOT_BOT_ENDPOINT:                     20002,
+    MAXIMUM_CLUBS:                        30001,
+    MAXIMUM_FRIENDS:                      30002,
+    MAXIMUM_PINS:                         30003,
+    MAXIMUM_ROLES:                        30005,
+    MAXIMUM_WEBHOOKS:                     30007,
+    MAXIMUM_REACTIONS:                    30010,
+    MAXIMUM_CHANNELS:                     30013,
+    UNAUTHORIZED:                         40001,
+    ACCOUNT_VERIFICATION_REQUIRED:        40002,
+    REQUEST_TOO_LARGE:                    40005,
+    FEATURE_DISABLED:                     40006,
+    USER_BANNED:                          40007,
+    MISSING_ACCESS:                       50001,
+    INVALID_ACCOUNT_TYPE:                 50002,
+    CANNOT_EXECUTE_ON_DM:                 50003,
+    WIDGET_DISABLED:                      50004,
+    CANNOT_EDIT_OTHERS_MESSAGE:           50005,
+    EMPTY_MESSAGE:                        50006,
+    CANNOT_MESSAGE_USER:                  50007,
+    CANNOT_SEND_IN_VOICE_CHANNEL:         50008,
+    CHANNEL_VERIFICATION_TOO_HIGH:        50009,
+    OAUTH2_NO_BOT:                        50010,
+    OAUTH2_LIMIT:                         50011,
+    INVALID_OAUTH2_STATE:                 50012,
+    MISSING_PERMISSIONS:                  50013,
+    INVALID_TOKEN:                        50014,
+    NOTE_TOO_LONG:                        50015,
+    INVALID_BULK_DELETE_COUNT:            50016,
+    INVALID_PIN_CHANNEL:                  50019,
+    INVALID_INVITE_CODE:                  50020,
+    CANNOT_EXECUTE_ON_SYSTEM_MESSAGE:     50021,
+    INVALID_OAUTH2_TOKEN:                 50025,
+    BULK_DELETE_TOO_OLD:                  50034,
+    INVALID_FORM_BODY:                    50035,
+    INVITE_ACCEPTED_WITHOUT_BOT:          50036,
+    INVALID_API_VERSION:                  50041,
+    REACTION_BLOCKED:                     90001,
+    RESOURCE_OVERLOADED:                  130000
+};
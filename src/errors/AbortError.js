@@ -0,0 +1,25 @@
+"use strict";
+
+/**
+* Thrown when a request is cancelled through an AbortSignal
+* @prop {String} method Uppercase HTTP method of the cancelled request
+* @prop {String} url URL of the endpoint
+*/
+class AbortError extends Error {
+    constructor(method, url) {
+        super(`Request aborted by signal on ${method} ${url}`);
+
+        this.method = method;
+        this.url = url;
+
+        if(Error.captureStackTrace) {
+            Error.captureStackTrace(this, AbortError);
+        }
+    }
+
+    get name() {
+        return this.constructor.name;
+    }
+}
+
+module.exports = AbortError;
@@ -0,0 +1,10 @@
+"use strict";
+
+const HelseliaRESTError = require("./HelseliaRESTError");
+
+/**
+* Thrown when the user cannot be sent direct messages, usually because of their privacy settings (JSON error code 50007, Constants.JSONErrorCodes.CANNOT_MESSAGE_USER)
+*/
+class CannotMessageUser extends HelseliaRESTError {}
+
+module.exports = CannotMessageUser;
@@ -0,0 +1,39 @@
+"use strict";
+
+const HelseliaRESTError = require("./HelseliaRESTError");
+
+/**
+* Thrown when a request payload fails validation (JSON error code 50035, Constants.JSONErrorCodes.INVALID_FORM_BODY)
+* @prop {Object} errors The per-field error tree, as returned by Helselia
+* @prop {Object} fields Object mapping dotted field paths (e.g. "embed.fields.0.name") to arrays of error objects ({code, message})
+*/
+class InvalidFormBody extends HelseliaRESTError {
+    constructor(req, res, response, stack) {
+        super(req, res, response, stack);
+
+        Object.defineProperty(this, "errors", {
+            enumerable: false,
+            value: response.errors || {}
+        });
+        Object.defineProperty(this, "fields", {
+            enumerable: false,
+            value: this.flattenFieldErrors(this.errors)
+        });
+    }
+
+    flattenFieldErrors(errors, keyPrefix = "", fields = {}) {
+        for(const fieldName in errors) {
+            if(!errors.hasOwnProperty(fieldName)) {
+                continue;
+            }
+            if(errors[fieldName]._errors) {
+                fields[keyPrefix + fieldName] = errors[fieldName]._errors;
+            } else if(typeof errors[fieldName] === "object" && errors[fieldName] !== null) {
+                this.flattenFieldErrors(errors[fieldName], keyPrefix + fieldName + ".", fields);
+            }
+        }
+        return fields;
+    }
+}
+
+module.exports = InvalidFormBody;
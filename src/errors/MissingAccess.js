@@ -0,0 +1,10 @@
+"use strict";
+
+const HelseliaRESTError = require("./HelseliaRESTError");
+
+/**
+* Thrown when the bot lacks access to the resource, e.g. a channel it cannot view (JSON error code 50001, Constants.JSONErrorCodes.MISSING_ACCESS)
+*/
+class MissingAccess extends HelseliaRESTError {}
+
+module.exports = MissingAccess;
@@ -0,0 +1,10 @@
+"use strict";
+
+const HelseliaRESTError = require("./HelseliaRESTError");
+
+/**
+* Thrown when the bot lacks the permissions required for the action (JSON error code 50013, Constants.JSONErrorCodes.MISSING_PERMISSIONS)
+*/
+class MissingPermissions extends HelseliaRESTError {}
+
+module.exports = MissingPermissions;
@@ -0,0 +1,10 @@
+"use strict";
+
+const HelseliaRESTError = require("./HelseliaRESTError");
+
+/**
+* Thrown when the channel does not exist (JSON error code 10003, Constants.JSONErrorCodes.UNKNOWN_CHANNEL)
+*/
+class UnknownChannel extends HelseliaRESTError {}
+
+module.exports = UnknownChannel;
@@ -0,0 +1,10 @@
+"use strict";
+
+const HelseliaRESTError = require("./HelseliaRESTError");
+
+/**
+* Thrown when the club does not exist (JSON error code 10004, Constants.JSONErrorCodes.UNKNOWN_CLUB)
+*/
+class UnknownClub extends HelseliaRESTError {}
+
+module.exports = UnknownClub;
@@ -0,0 +1,10 @@
+"use strict";
+
+const HelseliaRESTError = require("./HelseliaRESTError");
+
+/**
+* Thrown when the member does not exist (JSON error code 10007, Constants.JSONErrorCodes.UNKNOWN_MEMBER)
+*/
+class UnknownMember extends HelseliaRESTError {}
+
+module.exports = UnknownMember;
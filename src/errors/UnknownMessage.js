@@ -0,0 +1,10 @@
+"use strict";
+
+const HelseliaRESTError = require("./HelseliaRESTError");
+
+/**
+* Thrown when the message does not exist (JSON error code 10008, Constants.JSONErrorCodes.UNKNOWN_MESSAGE)
+*/
+class UnknownMessage extends HelseliaRESTError {}
+
+module.exports = UnknownMessage;
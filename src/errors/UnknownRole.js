@@ -0,0 +1,10 @@
+"use strict";
+
+const HelseliaRESTError = require("./HelseliaRESTError");
+
+/**
+* Thrown when the role does not exist (JSON error code 10011, Constants.JSONErrorCodes.UNKNOWN_ROLE)
+*/
+class UnknownRole extends HelseliaRESTError {}
+
+module.exports = UnknownRole;
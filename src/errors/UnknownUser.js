@@ -0,0 +1,10 @@
+"use strict";
+
+const HelseliaRESTError = require("./HelseliaRESTError");
+
+/**
+* Thrown when the user does not exist (JSON error code 10013, Constants.JSONErrorCodes.UNKNOWN_USER)
+*/
+class UnknownUser extends HelseliaRESTError {}
+
+module.exports = UnknownUser;
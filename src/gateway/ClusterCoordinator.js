@@ -0,0 +1,430 @@
+"use strict";
+
+let EventEmitter;
+try {
+    EventEmitter = require("eventemitter3");
+} catch(err) {
+    EventEmitter = require("events").EventEmitter;
+}
+
+// Like Promise.allSettled() for a single promise, so one dead worker does not fail a whole broadcast
+function settle(promise) {
+    return promise.then((value) => ({status: "fulfilled", value: value}), (reason) => ({reason: reason, status: "rejected"}));
+}
+
+/**
+* Runs shards across several worker processes. The coordinator forks the worker script once per cluster, assigns each cluster a range of shards, serializes identifies across clusters and enforces the session start limit, restarts crashed workers and relays broadcastEval() and stats requests. Requires the Node.js `child_process` module
+* The worker script creates a Client, attaches a ClusterWorker to it and connects it. Messages are exchanged over the IPC channel of `child_process.fork()`, as objects with a `_kiera` property
+* @extends EventEmitter
+* @prop {Object} clusters Object mapping cluster IDs to clusters (`{id, firstShardID, lastShardID, process, ready}`)
+* @prop {Number} maxConcurrency How many shards may identify at once, across all clusters
+* @prop {Number?} maxShards The total number of shards, once spawn() resolved it
+* @prop {Object} options The coordinator options
+* @prop {Object?} sessionStartLimit The remaining session starts across all clusters, if known (`{remaining, resetAt, total}`). Set from getBotGateway() if `options.token` is set
+*/
+class ClusterCoordinator extends EventEmitter {
+    /**
+    * Create a ClusterCoordinator
+    * @arg {String} file The path of the worker script
+    * @arg {Object} [options] Coordinator options
+    * @arg {Array<String>} [options.args] Arguments passed to the worker script
+    * @arg {Number} [options.clusters] The number of worker processes. Defaults to the number of CPUs
+    * @arg {Object} [options.env] Environment variables passed to the workers, merged with `process.env`
+    * @arg {Array<String>} [options.execArgv] Node.js options passed to the workers
+    * @arg {Number} [options.maxConcurrency=1] How many shards may identify at once. Set from getBotGateway() if `options.maxShards` is "auto"
+    * @arg {Number | String} [options.maxShards="auto"] The total number of shards. If "auto", Helselia's recommended shard count is used, which requires `options.token`
+    * @arg {Number} [options.requestTimeout=30000] How long in milliseconds to wait for each worker to answer broadcastEval() and fetchStats()
+    * @arg {Boolean} [options.respawn=true] Whether to restart workers which exit
+    * @arg {Number} [options.respawnDelay=5000] How long in milliseconds to wait before restarting a worker
+    * @arg {String} [options.token] The bot token, used to get the recommended shard count and the session start limit
+    */
+    constructor(file, options = {}) {
+        super();
+
+        this.file = file;
+        this.options = Object.assign({
+            args: [],
+            clusters: require("os").cpus().length,
+            env: {},
+            execArgv: [],
+            maxConcurrency: 1,
+            maxShards: "auto",
+            requestTimeout: 30000,
+            respawn: true,
+            respawnDelay: 5000
+        }, options);
+        this.clusters = {};
+        this.maxConcurrency = this.options.maxConcurrency;
+        this.maxShards = null;
+        this.sessionStartLimit = null;
+        this._identifyBuckets = {};
+        this._lastID = 0;
+        this._pending = {};
+        this._sessionStartLimitWarned = false;
+        this._stopping = false;
+    }
+
+    /**
+    * Run a function in every worker and collect the results
+    * @arg {Function | String} fn The function, called with the worker's Client. It is serialized to run in the workers, so it cannot use variables from its scope. It may return a promise, and its result must be serializable
+    * @returns {Promise<Array<Object>>} Resolves with the outcome in each worker, ordered by cluster ID, like Promise.allSettled(): `{status: "fulfilled", value}` or `{status: "rejected", reason}` if the function threw, or the worker is not running or did not answer in time
+    */
+    broadcastEval(fn) {
+        return Promise.all(Object.keys(this.clusters).map((id) => settle(this._request(this.clusters[id], {
+            op: "eval",
+            script: fn.toString()
+        }))));
+    }
+
+    /**
+    * Collect stats from every worker
+    * @returns {Promise<Object>} Resolves with the aggregated stats of the workers which answered (`{clubs, clusters, latency, memory, shards, unavailable, users}`). `clusters` holds the stats of each of them, `unavailable` the IDs of the clusters which are not running or did not answer in time, `latency` is the average shard latency and `users` the sum of the user caches, which may overlap between clusters
+    */
+    async fetchStats() {
+        const ids = Object.keys(this.clusters);
+        const results = await Promise.all(ids.map((id) => settle(this._request(this.clusters[id], {
+            op: "stats"
+        }))));
+        const clusters = results.filter((result) => result.status === "fulfilled").map((result) => result.value);
+        const stats = {
+            clubs: 0,
+            clusters: clusters,
+            latency: Infinity,
+            memory: 0,
+            shards: [],
+            unavailable: ids.filter((id, index) => results[index].status === "rejected").map(Number),
+            users: 0
+        };
+        for(const cluster of clusters) {
+            stats.clubs += cluster.clubs;
+            stats.memory += cluster.memory;
+            stats.shards = stats.shards.concat(cluster.shards);
+            stats.users += cluster.users;
+        }
+        const latencies = stats.shards.map((shard) => shard.latency).filter((latency) => latency !== null && isFinite(latency));
+        if(latencies.length > 0) {
+            stats.latency = latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length;
+        }
+        return stats;
+    }
+
+    /**
+    * Stop every worker without restarting them
+    * @arg {String} [signal="SIGTERM"] The signal sent to the workers
+    */
+    kill(signal = "SIGTERM") {
+        this._stopping = true;
+        for(const id in this.clusters) {
+            if(this.clusters[id].process) {
+                this.clusters[id].process.kill(signal);
+            }
+        }
+    }
+
+    /**
+    * Restart a worker. Its shards reconnect in the new process
+    * @arg {Number} id The ID of the cluster
+    */
+    restart(id) {
+        const cluster = this.clusters[id];
+        if(!cluster) {
+            throw new Error(`Unknown cluster ${id}`);
+        }
+        if(cluster.process) {
+            cluster.restart = true;
+            cluster.process.kill();
+        } else {
+            this._fork(cluster);
+        }
+    }
+
+    /**
+    * Resolve the shard count and fork the workers
+    * @returns {Promise}
+    */
+    async spawn() {
+        this._stopping = false;
+        this.maxShards = this.options.maxShards;
+        if(this.maxShards === "auto") {
+            if(!this.options.token) {
+                throw new Error("A token is required to use Helselia's recommended shard count");
+            }
+            const Client = require("../Client");
+            const data = await new Client(this.options.token, {
+                restMode: true
+            }).getBotGateway();
+            if(!data.shards) {
+                throw new Error("Failed to autoshard due to lack of data from Helselia.");
+            }
+            this.maxShards = data.shards;
+            this._setSessionStartLimit(data.session_start_limit);
+        } else if(this.options.token) {
+            const Client = require("../Client");
+            const data = await new Client(this.options.token, {
+                restMode: true
+            }).getBotGateway();
+            this._setSessionStartLimit(data.session_start_limit);
+        }
+        const clusterCount = Math.min(this.options.clusters, this.maxShards);
+        const shardsPerCluster = Math.ceil(this.maxShards / clusterCount);
+        for(let id = 0; id < clusterCount; ++id) {
+            const firstShardID = id * shardsPerCluster;
+            if(firstShardID >= this.maxShards) {
+                break;
+            }
+            this.clusters[id] = {
+                firstShardID: firstShardID,
+                id: id,
+                lastShardID: Math.min(firstShardID + shardsPerCluster, this.maxShards) - 1,
+                process: null,
+                ready: false,
+                restart: false
+            };
+        }
+        for(const id in this.clusters) {
+            this._fork(this.clusters[id]);
+        }
+    }
+
+    _fork(cluster) {
+        const ChildProcess = require("child_process");
+        const worker = cluster.process = ChildProcess.fork(this.file, this.options.args, {
+            env: Object.assign({}, process.env, this.options.env, {
+                KIERA_CLUSTER_COUNT: Object.keys(this.clusters).length,
+                KIERA_CLUSTER_ID: cluster.id,
+                KIERA_FIRST_SHARD_ID: cluster.firstShardID,
+                KIERA_LAST_SHARD_ID: cluster.lastShardID,
+                KIERA_MAX_SHARDS: this.maxShards,
+                KIERA_REQUEST_TIMEOUT: this.options.requestTimeout
+            }),
+            execArgv: this.options.execArgv
+        });
+        cluster.ready = false;
+        worker.on("message", (message) => this._handleMessage(cluster, message));
+        worker.on("error", (err) => this.emit("error", err, cluster.id));
+        worker.on("disconnect", () => {
+            // The worker can no longer be told to identify or answer requests, even if it has not exited yet
+            if(cluster.process === worker) {
+                this._releaseCluster(cluster);
+            }
+        });
+        worker.on("exit", (code, signal) => {
+            if(cluster.process !== worker) {
+                return;
+            }
+            cluster.process = null;
+            cluster.ready = false;
+            this._releaseCluster(cluster);
+            /**
+            * Fired when a worker exits
+            * @event ClusterCoordinator#exit
+            * @prop {Number} id The ID of the cluster
+            * @prop {Number?} code The exit code
+            * @prop {String?} signal The signal that stopped the worker
+            */
+            this.emit("exit", cluster.id, code, signal);
+            if(cluster.restart) {
+                cluster.restart = false;
+                this._fork(cluster);
+            } else if(this.options.respawn && !this._stopping) {
+                setTimeout(() => {
+                    if(!cluster.process && !this._stopping) {
+                        this._fork(cluster);
+                    }
+                }, this.options.respawnDelay);
+            }
+        });
+        /**
+        * Fired when a worker is forked
+        * @event ClusterCoordinator#spawn
+        * @prop {Number} id The ID of the cluster
+        */
+        this.emit("spawn", cluster.id);
+    }
+
+    _handleMessage(cluster, message) {
+        if(!message || !message._kiera) {
+            /**
+            * Fired when a worker sends a message which is not meant for Kiera
+            * @event ClusterCoordinator#message
+            * @prop {Number} id The ID of the cluster
+            * @prop {*} message The message
+            */
+            this.emit("message", cluster.id, message);
+            return;
+        }
+        if(message.op === "reply") {
+            const pending = this._pending[message.id];
+            if(pending) {
+                delete this._pending[message.id];
+                clearTimeout(pending.timeout);
+                if(message.error) {
+                    pending.reject(Object.assign(new Error(message.error.message), message.error));
+                } else {
+                    pending.resolve(message.result);
+                }
+            }
+        } else if(message.op === "identify") {
+            const key = message.shardID % this.maxConcurrency;
+            const bucket = this._identifyBuckets[key] || (this._identifyBuckets[key] = {
+                holder: null,
+                lastIdentify: 0,
+                queue: [],
+                timeout: null
+            });
+            bucket.queue.push({
+                cluster: cluster,
+                shardID: message.shardID
+            });
+            this._processIdentify(bucket);
+        } else if(message.op === "identified") {
+            const bucket = this._identifyBuckets[message.shardID % this.maxConcurrency];
+            if(bucket && bucket.holder && bucket.holder.cluster === cluster && bucket.holder.shardID === message.shardID) {
+                this._releaseIdentify(bucket);
+            }
+        } else if(message.op === "ready") {
+            cluster.ready = true;
+            /**
+            * Fired when all shards of a worker are ready
+            * @event ClusterCoordinator#ready
+            * @prop {Number} id The ID of the cluster
+            */
+            this.emit("ready", cluster.id);
+        } else if(message.op === "broadcastEval" || message.op === "fetchStats") {
+            (message.op === "broadcastEval" ? this.broadcastEval(message.script).then((results) => results.map((result) => result.status === "rejected" ? {
+                reason: {message: result.reason.message, stack: result.reason.stack},
+                status: "rejected"
+            } : result)) : this.fetchStats()).then((result) => {
+                this._send(cluster, {id: message.id, op: "reply", result: result});
+            }, (err) => {
+                this._send(cluster, {error: {message: err.message, stack: err.stack}, id: message.id, op: "reply"});
+            });
+        }
+    }
+
+    _processIdentify(bucket) {
+        if(bucket.holder || bucket.timeout || bucket.queue.length === 0) {
+            return;
+        }
+        const limit = this.sessionStartLimit;
+        if(limit && limit.remaining <= 0) {
+            if(limit.resetAt <= Date.now()) {
+                limit.remaining = limit.total;
+                limit.resetAt = Date.now() + 24 * 60 * 60 * 1000;
+            } else {
+                if(!this._sessionStartLimitWarned) {
+                    this._sessionStartLimitWarned = true;
+                    /**
+                    * Fired when shards stop identifying because the session start limit is exhausted. Queued shards identify once it resets
+                    * @event ClusterCoordinator#sessionStartLimit
+                    * @prop {Object} limit The session start limit
+                    * @prop {Number} limit.resetAt Timestamp at which the limit resets
+                    * @prop {Number} limit.total How many sessions may be started per reset period
+                    */
+                    this.emit("sessionStartLimit", {
+                        resetAt: limit.resetAt,
+                        total: limit.total
+                    });
+                }
+                bucket.timeout = setTimeout(() => {
+                    bucket.timeout = null;
+                    this._sessionStartLimitWarned = false;
+                    this._processIdentify(bucket);
+                }, limit.resetAt - Date.now());
+                return;
+            }
+        }
+        const wait = bucket.lastIdentify + 5000 - Date.now();
+        if(wait > 0) {
+            bucket.timeout = setTimeout(() => {
+                bucket.timeout = null;
+                this._processIdentify(bucket);
+            }, wait);
+            return;
+        }
+        const entry = bucket.queue.shift();
+        if(!entry.cluster.process || !entry.cluster.process.connected) {
+            return this._processIdentify(bucket);
+        }
+        bucket.holder = entry;
+        bucket.lastIdentify = Date.now();
+        if(limit && limit.remaining > 0) {
+            --limit.remaining;
+        }
+        // Workers release the identify once the shard is ready or disconnected. As a last resort, let the next shard identify if the worker hangs
+        bucket.timeout = setTimeout(() => {
+            bucket.timeout = null;
+            this._releaseIdentify(bucket);
+        }, 60000);
+        this._send(entry.cluster, {op: "identify", shardID: entry.shardID});
+    }
+
+    _releaseCluster(cluster) {
+        for(const key in this._identifyBuckets) {
+            const bucket = this._identifyBuckets[key];
+            bucket.queue = bucket.queue.filter((entry) => entry.cluster !== cluster);
+            if(bucket.holder && bucket.holder.cluster === cluster) {
+                this._releaseIdentify(bucket);
+            }
+        }
+        const error = new Error(`Cluster ${cluster.id} exited`);
+        for(const id in this._pending) {
+            if(this._pending[id].cluster === cluster) {
+                clearTimeout(this._pending[id].timeout);
+                this._pending[id].reject(error);
+                delete this._pending[id];
+            }
+        }
+    }
+
+    _releaseIdentify(bucket) {
+        bucket.holder = null;
+        bucket.lastIdentify = Date.now();
+        if(bucket.timeout) {
+            clearTimeout(bucket.timeout);
+            bucket.timeout = null;
+        }
+        this._processIdentify(bucket);
+    }
+
+    _request(cluster, message) {
+        if(!cluster.process) {
+            return Promise.reject(new Error(`Cluster ${cluster.id} is not running`));
+        }
+        const id = ++this._lastID;
+        return new Promise((resolve, reject) => {
+            this._pending[id] = {
+                cluster: cluster,
+                reject: reject,
+                resolve: resolve,
+                timeout: setTimeout(() => {
+                    delete this._pending[id];
+                    reject(new Error(`Cluster ${cluster.id} did not answer in time`));
+                }, this.options.requestTimeout)
+            };
+            this._send(cluster, Object.assign({id}, message));
+        });
+    }
+
+    _send(cluster, message) {
+        if(cluster.process && cluster.process.connected) {
+            cluster.process.send(Object.assign({_kiera: true}, message));
+        }
+    }
+
+    _setSessionStartLimit(limit) {
+        if(!limit) {
+            return;
+        }
+        if(limit.max_concurrency) {
+            this.maxConcurrency = limit.max_concurrency;
+        }
+        this.sessionStartLimit = {
+            remaining: limit.remaining,
+            resetAt: Date.now() + limit.reset_after,
+            total: limit.total
+        };
+    }
+}
+
+module.exports = ClusterCoordinator;
@@ -0,0 +1,193 @@
+"use strict";
+
+/**
+* Connects a Client in a worker process to the ClusterCoordinator which forked it. Create it before calling `client.connect()`: it sets the `firstShardID`, `lastShardID` and `maxShards` options of the client to the shards of the cluster, and makes its shards wait for the coordinator before identifying
+* @prop {Client} client The client
+* @prop {Number} clusterCount The number of clusters
+* @prop {Number} firstShardID The ID of the first shard of the cluster
+* @prop {Number} id The ID of the cluster
+* @prop {Number} lastShardID The ID of the last shard of the cluster
+* @prop {Number} maxShards The total number of shards, across all clusters
+* @prop {Number} requestTimeout How long in milliseconds to wait for the coordinator to answer broadcastEval() and fetchStats()
+*/
+class ClusterWorker {
+    /**
+    * Create a ClusterWorker
+    * @arg {Client} client The client
+    */
+    constructor(client) {
+        if(typeof process.send !== "function" || process.env.KIERA_CLUSTER_ID === undefined) {
+            throw new Error("ClusterWorker must run in a process forked by a ClusterCoordinator");
+        }
+        this.client = client;
+        this.clusterCount = +process.env.KIERA_CLUSTER_COUNT;
+        this.firstShardID = +process.env.KIERA_FIRST_SHARD_ID;
+        this.id = +process.env.KIERA_CLUSTER_ID;
+        this.lastShardID = +process.env.KIERA_LAST_SHARD_ID;
+        this.maxShards = +process.env.KIERA_MAX_SHARDS;
+        // The coordinator waits up to its own request timeout for each worker, so leave it time to answer
+        this.requestTimeout = (+process.env.KIERA_REQUEST_TIMEOUT || 30000) + 5000;
+        this._identifies = {};
+        this._lastID = 0;
+        this._pending = {};
+
+        client.options.firstShardID = this.firstShardID;
+        client.options.lastShardID = this.lastShardID;
+        client.options.maxShards = this.maxShards;
+        client.cluster = this;
+
+        process.on("message", (message) => this._handleMessage(message));
+        process.on("disconnect", () => this._rejectPending(new Error("Disconnected from the coordinator")));
+        client.on("ready", () => this._send({op: "ready"}));
+    }
+
+    /**
+    * Wait until the coordinator allows a shard to identify. Called by ShardManager
+    * @arg {Number} shardID The ID of the shard
+    * @returns {Promise} Rejects if the worker is disconnected from the coordinator
+    */
+    acquireIdentify(shardID) {
+        if(this._identifies[shardID]) {
+            return this._identifies[shardID].promise;
+        }
+        const identify = this._identifies[shardID] = {};
+        identify.promise = new Promise((resolve, reject) => {
+            identify.reject = reject;
+            identify.resolve = resolve;
+        });
+        if(!this._send({op: "identify", shardID: shardID})) {
+            delete this._identifies[shardID];
+            identify.reject(new Error("Disconnected from the coordinator"));
+        }
+        return identify.promise;
+    }
+
+    /**
+    * Run a function in every worker, see ClusterCoordinator#broadcastEval()
+    * @arg {Function | String} fn The function, called with the worker's Client
+    * @returns {Promise<Array<Object>>} Resolves with the outcome in each worker, ordered by cluster ID, like Promise.allSettled()
+    */
+    broadcastEval(fn) {
+        return this._request({op: "broadcastEval", script: fn.toString()}).then((results) => results.map((result) => result.status === "rejected" ? {
+            reason: Object.assign(new Error(result.reason.message), result.reason),
+            status: "rejected"
+        } : result));
+    }
+
+    /**
+    * Collect stats from every worker, see ClusterCoordinator#fetchStats()
+    * @returns {Promise<Object>}
+    */
+    fetchStats() {
+        return this._request({op: "fetchStats"});
+    }
+
+    /**
+    * Let the next shard identify, once a shard is ready or disconnected. Called by ShardManager
+    * @arg {Number} shardID The ID of the shard
+    */
+    releaseIdentify(shardID) {
+        this._send({op: "identified", shardID: shardID});
+    }
+
+    async _eval(script) {
+        const fn = new Function("client", `return (${script})(client);`);
+        return fn(this.client);
+    }
+
+    _handleMessage(message) {
+        if(!message || !message._kiera) {
+            return;
+        }
+        if(message.op === "identify") {
+            const identify = this._identifies[message.shardID];
+            if(identify) {
+                delete this._identifies[message.shardID];
+                identify.resolve();
+            } else {
+                this.releaseIdentify(message.shardID);
+            }
+        } else if(message.op === "reply") {
+            const pending = this._pending[message.id];
+            if(pending) {
+                delete this._pending[message.id];
+                clearTimeout(pending.timeout);
+                if(message.error) {
+                    pending.reject(Object.assign(new Error(message.error.message), message.error));
+                } else {
+                    pending.resolve(message.result);
+                }
+            }
+        } else if(message.op === "eval" || message.op === "stats") {
+            (message.op === "eval" ? this._eval(message.script) : Promise.resolve(this._stats())).then((result) => {
+                this._send({id: message.id, op: "reply", result: result});
+            }, (err) => {
+                this._send({error: {message: err.message, stack: err.stack}, id: message.id, op: "reply"});
+            });
+        }
+    }
+
+    _rejectPending(error) {
+        for(const shardID in this._identifies) {
+            this._identifies[shardID].reject(error);
+        }
+        this._identifies = {};
+        for(const id in this._pending) {
+            clearTimeout(this._pending[id].timeout);
+            this._pending[id].reject(error);
+        }
+        this._pending = {};
+    }
+
+    _request(message) {
+        const id = ++this._lastID;
+        return new Promise((resolve, reject) => {
+            if(!this._send(Object.assign({id}, message))) {
+                reject(new Error("Disconnected from the coordinator"));
+                return;
+            }
+            this._pending[id] = {
+                reject: reject,
+                resolve: resolve,
+                timeout: setTimeout(() => {
+                    delete this._pending[id];
+                    reject(new Error("The coordinator did not answer in time"));
+                }, this.requestTimeout)
+            };
+        });
+    }
+
+    _send(message) {
+        if(!process.connected) {
+            return false;
+        }
+        try {
+            process.send(Object.assign({_kiera: true}, message), (err) => {
+                if(err) {
+                    this._rejectPending(err);
+                }
+            });
+        } catch(err) {
+            this._rejectPending(err);
+            return false;
+        }
+        return true;
+    }
+
+    _stats() {
+        return {
+            clubs: this.client.clubs.size,
+            id: this.id,
+            memory: process.memoryUsage().rss,
+            shards: this.client.shards.map((shard) => ({
+                id: shard.id,
+                latency: shard.latency,
+                status: shard.status
+            })),
+            uptime: this.client.uptime,
+            users: this.client.users.size
+        };
+    }
+}
+
+module.exports = ClusterWorker;
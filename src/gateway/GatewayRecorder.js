@@ -0,0 +1,84 @@
+"use strict";
+
+/**
+* Records the gateway packets a client receives and sends, to reproduce its state later with a GatewayReplayer. Requires the Node.js `fs` module unless a stream is passed
+* Recordings are newline-delimited JSON: one `{direction, packet, shard, time}` object per packet, where `direction` is "in" or "out" and `time` a timestamp. Tokens are removed from sent packets
+* @prop {Client} client The recorded client
+* @prop {Boolean} recording Whether packets are being recorded
+*/
+class GatewayRecorder {
+    /**
+    * Create a GatewayRecorder
+    * @arg {Client} client The client to record
+    * @arg {String | Object} destination The path of the file to append the recording to, or a writable stream
+    */
+    constructor(client, destination) {
+        this.client = client;
+        this.recording = false;
+        this._destination = destination;
+        this._stream = null;
+        this._onError = (err) => {
+            this.stop();
+            /**
+            * Fired when the recording cannot be written. Recording stops
+            * @event Client#error
+            * @prop {Error} err The error
+            */
+            this.client.emit("error", err);
+        };
+        this._onReceive = (packet, id) => this._write("in", packet, id);
+        this._onSend = (packet, id) => this._write("out", packet, id);
+    }
+
+    /**
+    * Start recording
+    */
+    start() {
+        if(this.recording) {
+            return;
+        }
+        if(typeof this._destination === "string") {
+            this._stream = require("fs").createWriteStream(this._destination, {
+                flags: "a"
+            });
+        } else {
+            this._stream = this._destination;
+        }
+        this._stream.on("error", this._onError);
+        this.recording = true;
+        this.client.on("rawWS", this._onReceive);
+        this.client.on("rawWSSend", this._onSend);
+    }
+
+    /**
+    * Stop recording. Files opened by the recorder are closed, streams passed to it are left open
+    * @returns {Promise} Resolves once the recording is written
+    */
+    stop() {
+        if(!this.recording) {
+            return Promise.resolve();
+        }
+        this.recording = false;
+        this.client.removeListener("rawWS", this._onReceive);
+        this.client.removeListener("rawWSSend", this._onSend);
+        const stream = this._stream;
+        this._stream = null;
+        if(stream === this._destination) {
+            stream.removeListener("error", this._onError);
+            return Promise.resolve();
+        }
+        // Keep listening for errors from the file while it closes
+        return new Promise((resolve) => stream.end(resolve));
+    }
+
+    _write(direction, packet, shardID) {
+        this._stream.write(JSON.stringify({
+            direction: direction,
+            packet: packet,
+            shard: shardID,
+            time: Date.now()
+        }) + "\n");
+    }
+}
+
+module.exports = GatewayRecorder;
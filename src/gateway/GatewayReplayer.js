@@ -0,0 +1,60 @@
+"use strict";
+
+const {GatewayOPCodes} = require("../Constants");
+
+function parseRecording(text) {
+    return text.split("\n").filter((line) => line.trim()).map((line, index) => {
+        try {
+            return JSON.parse(line);
+        } catch(err) {
+            throw new Error(`Invalid recording entry on line ${index + 1}: ${err.message}`);
+        }
+    });
+}
+
+/**
+* Feeds a recording made by a GatewayRecorder into a client without connecting it, so event processing and cache state can be reproduced deterministically (e.g. in tests)
+* Received packets are passed to the shards they were recorded on, which are spawned if needed (so shard and client events such as "ready" fire) but never connect. HELLO packets are skipped since they only start heartbeats, and sent packets are ignored
+* @prop {Client} client The client packets are fed into
+*/
+class GatewayReplayer {
+    /**
+    * Create a GatewayReplayer
+    * @arg {Client} client The client to feed packets into
+    */
+    constructor(client) {
+        this.client = client;
+    }
+
+    /**
+    * Feed a recording into the client
+    * @arg {String | Array<Object>} recording The path of a recording file (requires the Node.js `fs` module), or the recording entries
+    * @arg {Object} [options] Replay options
+    * @arg {Number} [options.speed] If set, packets are delayed by the time between them in the recording, divided by this. Otherwise they are all fed right away, in order
+    * @returns {Promise<Number>} Resolves with the number of packets fed
+    */
+    async replay(recording, options = {}) {
+        const entries = typeof recording === "string" ? parseRecording(require("fs").readFileSync(recording, "utf8")) : recording;
+        let count = 0;
+        let lastTime = null;
+        for(const entry of entries) {
+            if(entry.direction !== "in" || entry.packet.op === GatewayOPCodes.HELLO) {
+                continue;
+            }
+            const delay = options.speed && lastTime !== null ? (entry.time - lastTime) / options.speed : 0;
+            lastTime = entry.time;
+            if(delay > 0) {
+                await new Promise((resolve) => setTimeout(resolve, delay));
+            }
+            this._getShard(entry.shard || 0).onPacket(entry.packet);
+            ++count;
+        }
+        return count;
+    }
+
+    _getShard(id) {
+        return this.client.shards.get(id) || this.client.shards.spawn(id, false);
+    }
+}
+
+module.exports = GatewayReplayer;
@@ -12,7 +12,7 @@ const ExtendedUser = require("../structures/ExtendedUser");
 const User = require("../structures/User");
 const Invite = require("../structures/Invite");
 const Constants = require("../Constants");
-let WebSocket = typeof window !== "undefined" ? require("../util/BrowserWebSocket") : require("ws");
+const GlobalWebSocket = require("../util/GlobalWebSocket");
 
 let EventEmitter;
 try {
@@ -20,25 +20,71 @@ try {
 } catch(err) {
     EventEmitter = require("events").EventEmitter;
 }
-let Erlpack;
-try {
-    Erlpack = require("erlpack");
-} catch(err) { // eslint-disable no-empty
-}
 let ZlibSync;
+let usingPako = false;
 try {
     ZlibSync = require("zlib-sync");
 } catch(err) {
     try {
         ZlibSync = require("pako");
+        usingPako = true;
     } catch(err) { // eslint-disable no-empty
     }
 }
-try {
-    WebSocket = require("uws");
-} catch(err) { // eslint-disable no-empty
+
+// zlib-stream messages end with the Z_SYNC_FLUSH suffix
+function endsWithSyncFlush(data) {
+    const length = data.length;
+    return length >= 4 && data[length - 4] === 0x00 && data[length - 3] === 0x00 && data[length - 2] === 0xFF && data[length - 1] === 0xFF;
+}
+
+// What happens when the gateway closes the connection with each code, unless overridden by the closePolicy client option
+// "resume" reconnects right away and resumes the session if there is one, "retry" reconnects after the backoff delay, "identify" drops the session and reconnects, "fatal" drops the session and stays disconnected
+const DEFAULT_CLOSE_POLICY = {
+    1006: {action: "resume", message: "Connection reset by peer"},
+    4001: {action: "resume", message: "Gateway received invalid OP code"},
+    4002: {action: "resume", message: "Gateway received invalid message"},
+    4003: {action: "identify", message: "Not authenticated"},
+    4004: {action: "fatal", message: "Authentication failed"},
+    4005: {action: "resume", message: "Already authenticated"},
+    4006: {action: "identify", message: "Invalid session"},
+    4007: {action: "resume", message: (shard) => "Invalid sequence number: " + shard.seq},
+    4008: {action: "resume", message: "Gateway connection was ratelimited"},
+    4009: {action: "identify", message: "Invalid session"},
+    4010: {action: "fatal", message: "Invalid shard key"},
+    4011: {action: "fatal", message: "Shard has too many clubs (>2500)"},
+    4013: {action: "fatal", message: "Invalid intents specified"},
+    4014: {action: "fatal", message: "Disallowed intents specified"}
+};
+
+function getClosePolicy(overrides, code) {
+    const policy = DEFAULT_CLOSE_POLICY[code] || {action: "resume"};
+    const override = overrides && overrides[code];
+    if(!override) {
+        return policy;
+    }
+    return typeof override === "string" ? {action: override, message: policy.message} : Object.assign({}, policy, override);
+}
+
+const SESSION_KEY_PREFIX = "kiera:session:";
+const SESSION_SAVE_INTERVAL = 60000; // How often heartbeats save the sequence of the session
+
+// Stored sessions only hold a hash of the token they belong to, to tell whether they may be resumed with the current one
+function hashToken(token) {
+    let hash = 5381;
+    for(let i = 0; i < token.length; ++i) {
+        hash = ((hash << 5) + hash + token.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
 }
 
+const WebSocketStates = {
+    CONNECTING: 0,
+    OPEN:       1,
+    CLOSING:    2,
+    CLOSED:     3
+};
+
 /**
 * Represents a shard
 * @extends EventEmitter
@@ -49,6 +95,7 @@ try {
 * @prop {Number} lastHeartbeatSent Last time shard sent a heartbeat, null if shard has not sent heartbeat yet
 * @prop {Number} latency The current latency between the shard and Helselia, in milliseconds
 * @prop {Boolean} ready Whether the shard is ready
+* @prop {String?} resumeURL The gateway URL of a session restored from the `sessionStorage` option, used instead of `client.gatewayURL` while resuming it
 * @prop {String} status The status of the shard. "disconnected"/"connecting"/"handshaking"/"ready"
 */
 class Shard extends EventEmitter {
@@ -64,6 +111,10 @@ class Shard extends EventEmitter {
         this._onWSError = this._onWSError.bind(this);
         this._onWSClose = this._onWSClose.bind(this);
 
+        this._restoringSession = false;
+        this._sessionRestored = false;
+        this._sessionSavedAt = 0;
+        this._sessionSavedSeq = 0;
         this.hardReset();
     }
 
@@ -99,7 +150,7 @@ class Shard extends EventEmitter {
     * Tells the shard to connect
     */
     connect() {
-        if(this.ws && this.ws.readyState != WebSocket.CLOSED) {
+        if(this.ws && this.ws.readyState != WebSocketStates.CLOSED) {
             this.emit("error", new Error("Existing connection detected"), this.id);
             return;
         }
@@ -137,11 +188,11 @@ class Shard extends EventEmitter {
             this.heartbeatInterval = null;
         }
 
-        if(this.ws.readyState !== WebSocket.CLOSED) {
+        if(this.ws.readyState !== WebSocketStates.CLOSED) {
             this.ws.removeEventListener("close", this._onWSClose);
             try {
                 if(options.reconnect && this.sessionID) {
-                    if(this.ws.readyState === WebSocket.OPEN) {
+                    if(this.ws.readyState === WebSocketStates.OPEN) {
                         this.ws.close(4901, "Reconnect: Kiera");
                     } else {
                         this.ws.terminate();
@@ -170,6 +221,10 @@ class Shard extends EventEmitter {
             this.emit("debug", `Automatically invalidating session due to excessive resume attempts | Attempt ${this.connectAttempts}`, this.id);
             this.sessionID = null;
         }
+        if(!options.reconnect) {
+            this.sessionID = null; // The session ends with a normal close
+        }
+        this.saveSession();
 
         if(options.reconnect === "auto" && this.client.options.autoreconnect) {
             /**
@@ -182,15 +237,12 @@ class Shard extends EventEmitter {
                 this.emit("debug", `Immediately reconnecting for potential resume | Attempt ${this.connectAttempts}`, this.id);
                 this.client.shards.connect(this);
             } else {
-                this.emit("debug", `Queueing reconnect in ${this.reconnectInterval}ms | Attempt ${this.connectAttempts}`, this.id);
-                setTimeout(() => {
-                    this.client.shards.connect(this);
-                }, this.reconnectInterval);
-                this.reconnectInterval = Math.min(Math.round(this.reconnectInterval * (Math.random() * 2 + 1)), 30000);
+                this._queueReconnect();
             }
         } else if(!options.reconnect) {
             this.hardReset();
         }
+        this.client._updateConnectionState();
     }
 
     /**
@@ -269,7 +321,13 @@ class Shard extends EventEmitter {
         this.reset();
         this.seq = 0;
         this.sessionID = null;
+        this.resumeURL = null;
         this.reconnectInterval = 1000;
+        if(this._reconnectTimeout) {
+            clearTimeout(this._reconnectTimeout);
+        }
+        this._reconnectTimeout = null;
+        this._reconnectPending = false;
         this.connectAttempts = 0;
         this.ws = null;
         this.heartbeatInterval = null;
@@ -290,6 +348,9 @@ class Shard extends EventEmitter {
             return;
         }
         if(normal) {
+            if(this.seq !== this._sessionSavedSeq && this._sessionSavedAt <= Date.now() - SESSION_SAVE_INTERVAL) {
+                this.saveSession();
+            }
             if(!this.lastHeartbeatAck) {
                 this.emit("debug", "Heartbeat timeout; " + JSON.stringify({
                     lastReceived: this.lastHeartbeatReceived,
@@ -348,12 +409,13 @@ class Shard extends EventEmitter {
 
         this.status = "connecting";
         if(this.client.options.compress) {
-            this.emit("debug", "Initializing zlib-sync-based compression");
+            this.emit("debug", `Initializing ${usingPako ? "pako" : "zlib-sync"}-based compression`);
             this._zlibSync = new ZlibSync.Inflate({
-                chunkSize: 128 * 1024
+                chunkSize: 128 * 1024,
+                to: usingPako && !this.client.etf ? "string" : undefined // Decode UTF-8 in pako, platforms without zlib-sync may lack Buffer and TextDecoder
             });
         }
-        this.ws = new WebSocket(this.client.gatewayURL, this.client.options.ws);
+        this.ws = this._createWebSocket(this.sessionID && this.resumeURL || this.client.gatewayURL, this.client.options.ws);
         this.ws.on("open", this._onWSOpen);
         this.ws.on("message", this._onWSMessage);
         this.ws.on("error", this._onWSError);
@@ -406,8 +468,9 @@ class Shard extends EventEmitter {
             case GatewayOPCodes.INVALID_SESSION: {
                 this.seq = 0;
                 this.sessionID = null;
+                this.saveSession();
                 this.emit("warn", "Invalid session, reidentifying!", this.id);
-                this.identify();
+                this.client.shards._reidentify(this);
                 break;
             }
             case GatewayOPCodes.RECONNECT: {
@@ -540,6 +603,40 @@ class Shard extends EventEmitter {
         }
     }
 
+    /**
+    * Restore the session saved in the `sessionStorage` option, so the next connection resumes it instead of identifying. Called by ShardManager before the first connection of the shard, so a restored session skips the identify queue
+    * If the session was saved by a previous run of the app, the client user is restored with it, but other caches (clubs, channels, users...) start empty since no READY is received
+    * @returns {Promise<Boolean>} Resolves with whether a session was restored
+    */
+    async restoreSession() {
+        const storage = this.client.options.sessionStorage;
+        if(!storage) {
+            return false;
+        }
+        let session;
+        try {
+            session = await storage.get(SESSION_KEY_PREFIX + this.id);
+        } catch(err) {
+            this.emit("error", err, this.id);
+            return false;
+        }
+        if(!session || !session.sessionID || session.token !== hashToken(this._token)) {
+            return false;
+        }
+        // A session from a connection with a different gateway version, encoding or compression cannot be resumed here
+        if(this.client.gatewayURL && session.gatewayURL && session.gatewayURL.split("?")[1] !== this.client.gatewayURL.split("?")[1]) {
+            return false;
+        }
+        this.sessionID = session.sessionID;
+        this.seq = session.seq || 0;
+        this.resumeURL = session.gatewayURL || null;
+        if(!this.client.user && session.user) {
+            this._setClientUser(session.user);
+        }
+        this.emit("debug", `Restored session ${this.sessionID} at sequence ${this.seq}`, this.id);
+        return true;
+    }
+
     resume() {
         this.status = "resuming";
         this.sendWS(GatewayOPCodes.RESUME, {
@@ -549,6 +646,35 @@ class Shard extends EventEmitter {
         });
     }
 
+    /**
+    * Save the current session (ID, sequence and gateway URL) in the `sessionStorage` option, or remove the saved one if the shard has no session. Called when the shard becomes ready or resumes, when its session is invalidated, when it disconnects, and on heartbeats at most once a minute while its sequence changes. Resuming from an older sequence only replays more events
+    * @returns {Promise}
+    */
+    async saveSession() {
+        const storage = this.client.options.sessionStorage;
+        if(!storage) {
+            return;
+        }
+        this._sessionSavedAt = Date.now();
+        this._sessionSavedSeq = this.seq;
+        try {
+            if(!this.sessionID) {
+                await storage.delete(SESSION_KEY_PREFIX + this.id);
+                return;
+            }
+            await storage.set(SESSION_KEY_PREFIX + this.id, {
+                gatewayURL: this.resumeURL || this.client.gatewayURL,
+                savedAt: Date.now(),
+                seq: this.seq,
+                sessionID: this.sessionID,
+                token: hashToken(this._token),
+                user: this._sessionUser || null
+            });
+        } catch(err) {
+            this.emit("error", err, this.id);
+        }
+    }
+
     sendStatusUpdate() {
         this.sendWS(GatewayOPCodes.STATUS_UPDATE, {
             afk: !!this.presence.afk, // For push notifications
@@ -559,16 +685,25 @@ class Shard extends EventEmitter {
     }
 
     sendWS(op, _data, priority = false) {
-        if(this.ws && this.ws.readyState === WebSocket.OPEN) {
+        if(this.ws && this.ws.readyState === WebSocketStates.OPEN) {
             let i = 0;
             let waitFor = 1;
             const func = () => {
-                if(++i >= waitFor && this.ws && this.ws.readyState === WebSocket.OPEN) {
-                    const data = Erlpack ? Erlpack.pack({op: op, d: _data}) : JSON.stringify({op: op, d: _data});
+                if(++i >= waitFor && this.ws && this.ws.readyState === WebSocketStates.OPEN) {
+                    const data = this.client.etf ? this.client.etf.pack({op: op, d: _data}) : JSON.stringify({op: op, d: _data});
                     this.ws.send(data);
                     if(_data.token) {
                         delete _data.token;
                     }
+                    if(this.listeners("rawWSSend").length > 0 || this.client.listeners("rawWSSend").length) {
+                        /**
+                        * Fired when the shard sends a websocket packet. Tokens are removed from the packet
+                        * @event Client#rawWSSend
+                        * @prop {Object} packet The packet
+                        * @prop {Number} id The ID of the shard
+                        */
+                        this.emit("rawWSSend", {op: op, d: _data}, this.id);
+                    }
                     this.emit("debug", JSON.stringify({op: op, d: _data}), this.id);
                 }
             };
@@ -594,6 +729,9 @@ class Shard extends EventEmitter {
     }
 
     wsEvent(packet) {
+        if(this.client.requestHandler.cache) {
+            this.client.requestHandler.cache.invalidateDispatch(packet).catch((err) => this.emit("error", err, this.id));
+        }
         switch(packet.t) { /* eslint-disable no-redeclare */ // (╯°□°）╯︵ ┻━┻
             case "PRESENCE_UPDATE": {
                 if(packet.d.user.username !== undefined) {
@@ -1708,11 +1846,12 @@ class Shard extends EventEmitter {
                 this.connectTimeout = null;
                 this.status = "ready";
                 this.presence.status = "online";
-                this.client.shards._readyPacketCB();
+                this.client.shards._readyPacketCB(this);
 
                 if(packet.t === "RESUMED") {
                     // Can only heartbeat after resume succeeds, helselia/helselia-api-docs#1619
                     this.heartbeat();
+                    this.saveSession();
 
                     this.preReady = true;
                     this.ready = true;
@@ -1725,14 +1864,8 @@ class Shard extends EventEmitter {
                     break;
                 }
 
-                this.client.user = this.client.users.update(new ExtendedUser(packet.d.user, this.client), this.client);
-                if(this.client.user.bot) {
-                    this.client.bot = true;
-                    if(!this.client.token.startsWith("Bot ")) {
-                        this.client.token = "Bot " + this.client.token;
-                    }
-                } else {
-                    this.client.bot = false;
+                this._setClientUser(packet.d.user);
+                if(!this.client.bot) {
                     this.client.userClubSettings = {};
                     packet.d.user_club_settings.forEach((clubSettings) => {
                         this.client.userClubSettings[clubSettings.club_id] = clubSettings;
@@ -1745,6 +1878,8 @@ class Shard extends EventEmitter {
                 }
 
                 this.sessionID = packet.d.session_id;
+                this.resumeURL = null;
+                this.saveSession();
 
                 packet.d.clubs.forEach((club) => {
                     if(club.unavailable) {
@@ -1949,6 +2084,25 @@ class Shard extends EventEmitter {
         } /* eslint-enable no-redeclare */
     }
 
+    _createWebSocket(url, options) {
+        let webSocket = this.client.options.webSocket;
+        if(typeof webSocket === "function") {
+            return webSocket(url, options);
+        }
+        if(webSocket === "auto") {
+            // Node.js may have a global WebSocket too, but ws supports the agent and compression options
+            webSocket = typeof WebSocket !== "undefined" && !(typeof process !== "undefined" && process.versions && process.versions.node) ? "global" : "ws";
+        }
+        if(webSocket === "global") {
+            return new GlobalWebSocket(url, options);
+        }
+        if(webSocket === "ws") {
+            const WS = require("ws");
+            return new WS(url, options);
+        }
+        throw new TypeError(`Invalid WebSocket option: ${webSocket}`);
+    }
+
     _onWSClose(code, reason) {
         this.emit("debug", "WS disconnected: " + JSON.stringify({
             code: code,
@@ -1956,51 +2110,20 @@ class Shard extends EventEmitter {
             status: this.status
         }));
         let err = !code || code === 1000 ? null : new Error(code + ": " + reason);
-        let reconnect = "auto";
+        let action = "resume";
         if(code) {
             this.emit("debug", `${code === 1000 ? "Clean" : "Unclean"} WS close: ${code}: ${reason}`, this.id);
-            if(code === 4001) {
-                err = new Error("Gateway received invalid OP code");
-            } else if(code === 4002) {
-                err = new Error("Gateway received invalid message");
-            } else if(code === 4003) {
-                err = new Error("Not authenticated");
-                this.sessionID = null;
-            } else if(code === 4004) {
-                err = new Error("Authentication failed");
-                this.sessionID = null;
-                reconnect = false;
+            const policy = getClosePolicy(this.client.options.closePolicy, code);
+            action = policy.action;
+            if(policy.message) {
+                err = new Error(typeof policy.message === "function" ? policy.message(this) : policy.message);
+            } else if(code !== 1000 && reason) {
+                err = new Error(code + ": " + reason);
+            }
+            if(code === 4004) {
                 this.emit("error", new Error(`Invalid token: ${this._token}`));
-            } else if(code === 4005) {
-                err = new Error("Already authenticated");
-            } else if(code === 4006 || code === 4009) {
-                err = new Error("Invalid session");
-                this.sessionID = null;
             } else if(code === 4007) {
-                err = new Error("Invalid sequence number: " + this.seq);
                 this.seq = 0;
-            } else if(code === 4008) {
-                err = new Error("Gateway connection was ratelimited");
-            } else if(code === 4010) {
-                err = new Error("Invalid shard key");
-                this.sessionID = null;
-                reconnect = false;
-            } else if(code === 4011) {
-                err = new Error("Shard has too many clubs (>2500)");
-                this.sessionID = null;
-                reconnect = false;
-            } else if(code === 4013) {
-                err = new Error("Invalid intents specified");
-                this.sessionID = null;
-                reconnect = false;
-            } else if(code === 4014) {
-                err = new Error("Disallowed intents specified");
-                this.sessionID = null;
-                reconnect = false;
-            } else if(code === 1006) {
-                err = new Error("Connection reset by peer");
-            } else if(code !== 1000 && reason) {
-                err = new Error(code + ": " + reason);
             }
             if(err) {
                 err.code = code;
@@ -2008,9 +2131,45 @@ class Shard extends EventEmitter {
         } else {
             this.emit("debug", "WS close: unknown code: " + reason, this.id);
         }
-        this.disconnect({
-            reconnect
-        }, err);
+        if(action === "identify" || action === "fatal") {
+            this.sessionID = null;
+        }
+        /**
+        * Fired when the gateway closes the connection of a shard
+        * @event Client#shardClose
+        * @prop {Object} close Information about the close
+        * @prop {String} close.action What the shard does next, according to the closePolicy client option: "resume", "retry", "identify" or "fatal"
+        * @prop {Number?} close.code The close code, if any
+        * @prop {Number} close.connectAttempts How many times the shard tried to connect since it was last ready
+        * @prop {Error?} close.error The error, if the close was not clean
+        * @prop {String?} close.reason The close reason
+        * @prop {Boolean} close.resumable Whether the shard still has a session to resume
+        * @prop {Number} id The ID of the shard
+        */
+        this.emit("shardClose", {
+            action: action,
+            code: code,
+            connectAttempts: this.connectAttempts,
+            error: err,
+            reason: reason,
+            resumable: !!this.sessionID
+        }, this.id);
+        if(action === "retry") {
+            this.disconnect({
+                reconnect: true
+            }, err);
+            if(this.client.options.autoreconnect) {
+                this._queueReconnect();
+                this.client._updateConnectionState();
+            }
+        } else {
+            this.disconnect({
+                reconnect: action === "fatal" ? false : "auto"
+            }, err);
+        }
+        if(code === 4011 && action === "fatal" && this.client.shards.autoShard) {
+            this.client.shards.reshard();
+        }
     }
 
     _onWSError(err) {
@@ -2020,31 +2179,33 @@ class Shard extends EventEmitter {
     _onWSMessage(data) {
         try {
             if(data instanceof ArrayBuffer) {
-                if(this.client.options.compress || Erlpack) {
+                if(this.client.options.compress) {
+                    data = usingPako ? new Uint8Array(data) : Buffer.from(data);
+                } else if(this.client.etf && typeof Buffer !== "undefined") { // erlpack needs Buffers
                     data = Buffer.from(data);
                 }
             } else if(Array.isArray(data)) { // Fragmented messages
                 data = Buffer.concat(data); // Copyfull concat is slow, but no alternative
             }
             if(this.client.options.compress) {
-                if(data.length >= 4 && data.readUInt32BE(data.length - 4) === 0xFFFF) {
+                if(endsWithSyncFlush(data)) {
                     this._zlibSync.push(data, ZlibSync.Z_SYNC_FLUSH);
                     if(this._zlibSync.err) {
                         this.emit("error", new Error(`zlib error ${this._zlibSync.err}: ${this._zlibSync.msg}`));
                         return;
                     }
 
-                    data = Buffer.from(this._zlibSync.result);
-                    if(Erlpack) {
-                        return this.onPacket(Erlpack.unpack(data));
+                    data = this._zlibSync.result;
+                    if(this.client.etf) {
+                        return this.onPacket(this.client.etf.unpack(typeof Buffer !== "undefined" ? Buffer.from(data) : data));
                     } else {
-                        return this.onPacket(JSON.parse(data.toString()));
+                        return this.onPacket(JSON.parse(typeof data === "string" ? data : Buffer.from(data).toString()));
                     }
                 } else {
                     this._zlibSync.push(data, false);
                 }
-            } else if(Erlpack) {
-                return this.onPacket(Erlpack.unpack(data));
+            } else if(this.client.etf) {
+                return this.onPacket(this.client.etf.unpack(data));
             } else {
                 return this.onPacket(JSON.parse(data.toString()));
             }
@@ -2064,6 +2225,28 @@ class Shard extends EventEmitter {
         this.lastHeartbeatAck = true;
     }
 
+    _queueReconnect() {
+        this.emit("debug", `Queueing reconnect in ${this.reconnectInterval}ms | Attempt ${this.connectAttempts}`, this.id);
+        this._reconnectTimeout = setTimeout(() => {
+            this._reconnectTimeout = null;
+            this.client.shards.connect(this);
+        }, this.reconnectInterval);
+        this.reconnectInterval = Math.min(Math.round(this.reconnectInterval * (Math.random() * 2 + 1)), 30000);
+    }
+
+    _setClientUser(data) {
+        this._sessionUser = data;
+        this.client.user = this.client.users.update(new ExtendedUser(data, this.client), this.client);
+        if(this.client.user.bot) {
+            this.client.bot = true;
+            if(!this.client.token.startsWith("Bot ")) {
+                this.client.token = "Bot " + this.client.token;
+            }
+        } else {
+            this.client.bot = false;
+        }
+    }
+
     toString() {
         return Base.prototype.toString.call(this);
     }
@@ -2087,6 +2270,7 @@ class Shard extends EventEmitter {
             "lastHeartbeatAck",
             "seq",
             "sessionID",
+            "resumeURL",
             "reconnectInterval",
             "connectAttempts",
             ...props
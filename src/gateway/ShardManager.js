@@ -4,27 +4,183 @@ const Base = require("../structures/Base");
 const Collection = require("../util/Collection");
 const Shard = require("./Shard");
 
+// (clubID >> 22) % shardCount, dividing the decimal string since snowflakes exceed Number.MAX_SAFE_INTEGER
+function shardForClub(clubID, shardCount) {
+    let quotient = 0;
+    let remainder = 0;
+    for(let i = 0; i < clubID.length; ++i) {
+        const value = remainder * 10 + (clubID.charCodeAt(i) - 48);
+        quotient = quotient * 10 + Math.floor(value / 4194304);
+        remainder = value % 4194304;
+    }
+    return quotient % shardCount;
+}
+
+/**
+* Connects shards, following the identify ratelimits: shards in the same ratelimit bucket (`shard ID % maxConcurrency`) identify at least 5 seconds apart, and no shard identifies once the session start limit is exhausted until it resets
+* @extends Collection
+* @prop {Boolean} autoShard Whether the shard count follows Helselia's recommendation (`maxShards: "auto"`). If so, the shards are resharded when one of them is closed for having too many clubs
+* @prop {Object} buckets Object mapping ratelimit bucket keys to the time of their last identify, pushed 7.5 seconds ahead until the shard is ready
+* @prop {Array<Shard>} connectQueue The shards waiting to identify
+* @prop {Number} maxConcurrency How many shards may identify at once, from the `session_start_limit` of getBotGateway()
+* @prop {Boolean} resharding Whether the shards are being resharded
+* @prop {Object?} sessionStartLimit The remaining session starts, if known (`{remaining, resetAt, total}`)
+*/
 class ShardManager extends Collection {
     constructor(client) {
         super(Shard);
         this._client = client;
 
+        this.autoShard = client.options.maxShards === "auto";
+        this.buckets = {};
         this.connectQueue = [];
-        this.lastConnect = 0;
         this.connectTimeout = null;
+        this.maxConcurrency = 1;
+        this.resharding = false;
+        this.sessionStartLimit = null;
+        this.sessionStartTimeout = null;
     }
 
     connect(shard) {
-        if(shard.sessionID || (this.lastConnect <= Date.now() - 5000 && !this.find((shard) => shard.connecting))) {
-            shard.connect();
-            this.lastConnect = Date.now() + 7500;
+        if(this._client.suspended || !this._client.online) {
+            // Connected by wake() or setOnline(true) instead
+            shard._reconnectPending = true;
+            return;
+        }
+        shard._reconnectPending = false;
+        if(this._client.options.sessionStorage && !shard.sessionID && !shard._sessionRestored) {
+            // A restored session resumes right away, without waiting for an identify or using a session start
+            if(!shard._restoringSession) {
+                shard._restoringSession = true;
+                shard.restoreSession().catch((err) => this._client.emit("error", err, shard.id)).then(() => {
+                    shard._restoringSession = false;
+                    shard._sessionRestored = true;
+                    if(shard.status === "disconnected" && !shard.connecting) {
+                        this.connect(shard);
+                    }
+                });
+            }
+            return;
+        }
+        if(!shard.sessionID && this._client.cluster) {
+            // The ClusterCoordinator serializes identifies across processes and enforces the session start limit, so the local buckets and budget do not apply
+            this._client.cluster.acquireIdentify(shard.id).then(() => {
+                if(shard.status === "disconnected" && !shard.connecting && !this._client.suspended && this._client.online) {
+                    this._connectShard(shard);
+                } else {
+                    this._client.cluster.releaseIdentify(shard.id);
+                    if(shard.status === "disconnected" && !shard.connecting) {
+                        this.connect(shard);
+                    }
+                }
+            }).catch((err) => this._client.emit("error", err, shard.id));
+        } else if(shard.sessionID || (!this._sessionStartsExhausted() && this._canIdentify(shard))) {
+            this._connectShard(shard);
         } else {
-            this.connectQueue.push(shard);
+            if(!this.connectQueue.includes(shard)) {
+                this.connectQueue.push(shard);
+            }
             this.tryConnect();
         }
+        this._client._updateConnectionState();
+    }
+
+    /**
+    * Replace the shards with Helselia's recommended shard count (or twice the current count, if the recommendation is not higher), without restarting the client. Every shard disconnects, cached clubs are moved to their new shard and the new shards connect
+    * Called when a shard is closed for having too many clubs (close code 4011) and `autoShard` is true. Only possible if the client runs every shard
+    * @returns {Promise}
+    */
+    async reshard() {
+        if(this.resharding) {
+            return;
+        }
+        const options = this._client.options;
+        const oldShardCount = options.maxShards;
+        if(this._client.cluster || options.firstShardID !== 0 || options.lastShardID !== oldShardCount - 1) {
+            this._client.emit("error", new Error("Cannot reshard a client which does not run every shard"));
+            return;
+        }
+        this.resharding = true;
+        let data;
+        try {
+            data = await this._client.getBotGateway();
+        } catch(err) {
+            this.resharding = false;
+            this._client.emit("error", err);
+            return;
+        }
+        if(data.session_start_limit) {
+            this.setSessionStartLimit(data.session_start_limit);
+        }
+        const newShardCount = data.shards > oldShardCount ? data.shards : oldShardCount * 2;
+        /**
+        * Fired when the shards start being resharded
+        * @event Client#reshardStart
+        * @prop {Number} oldShardCount The previous number of shards
+        * @prop {Number} newShardCount The new number of shards
+        */
+        this._client.emit("reshardStart", oldShardCount, newShardCount);
+
+        for(const shard of Array.from(this.values())) {
+            shard.disconnect({
+                reconnect: false
+            });
+            this.remove(shard);
+        }
+        this.connectQueue = [];
+        if(this.connectTimeout) {
+            clearTimeout(this.connectTimeout);
+            this.connectTimeout = null;
+        }
+        this.buckets = {};
+        options.maxShards = newShardCount;
+        options.lastShardID = newShardCount - 1;
+
+        for(let i = 0; i < newShardCount; ++i) {
+            this.spawn(i);
+        }
+        for(const clubID in this._client.clubShardMap) {
+            this._client.clubShardMap[clubID] = shardForClub(clubID, newShardCount);
+        }
+        for(const club of this._client.clubs.values()) {
+            club.shard = this.get(this._client.clubShardMap[club.id]);
+        }
+        for(const club of this._client.unavailableClubs.values()) {
+            club.shard = this.get(shardForClub(club.id, newShardCount));
+        }
+        /**
+        * Fired when the new shards were spawned while resharding. They connect as usual, "ready" is fired once they all are
+        * @event Client#reshard
+        * @prop {Number} oldShardCount The previous number of shards
+        * @prop {Number} newShardCount The new number of shards
+        */
+        this._client.emit("reshard", oldShardCount, newShardCount);
+        this.resharding = false;
     }
 
-    spawn(id) {
+    /**
+    * Set the session start limit and identify concurrency, usually from the `session_start_limit` of getBotGateway()
+    * @arg {Object} limit The session start limit
+    * @arg {Number} [limit.max_concurrency=1] How many shards may identify at once
+    * @arg {Number} limit.remaining How many sessions may still be started
+    * @arg {Number} limit.reset_after How long in milliseconds until the remaining session starts reset
+    * @arg {Number} limit.total How many sessions may be started per reset period
+    */
+    setSessionStartLimit(limit) {
+        this.maxConcurrency = limit.max_concurrency || 1;
+        this.sessionStartLimit = {
+            remaining: limit.remaining,
+            resetAt: Date.now() + limit.reset_after,
+            total: limit.total
+        };
+        if(this.sessionStartTimeout) {
+            clearTimeout(this.sessionStartTimeout);
+            this.sessionStartTimeout = null;
+        }
+        this.tryConnect();
+    }
+
+    spawn(id, connect = true) {
         let shard = this.get(id);
         if(!shard) {
             shard = this.add(new Shard(id, this._client));
@@ -35,6 +191,7 @@ class ShardManager extends Collection {
                 * @prop {Number} id The ID of the shard
                 */
                 this._client.emit("shardReady", shard.id);
+                this._client._updateConnectionState();
                 if(this._client.ready) {
                     return;
                 }
@@ -57,6 +214,7 @@ class ShardManager extends Collection {
                 * @prop {Number} id The ID of the shard
                 */
                 this._client.emit("shardResume", shard.id);
+                this._client._updateConnectionState();
                 if(this._client.ready) {
                     return;
                 }
@@ -76,6 +234,10 @@ class ShardManager extends Collection {
                 * @prop {Number} id The ID of the shard
                 */
                 this._client.emit("shardDisconnect", error, shard.id);
+                if(this._client.cluster) {
+                    // Let the next shard identify if this one did not get ready
+                    this._client.cluster.releaseIdentify(shard.id);
+                }
                 for(const other of this.values()) {
                     if(other.ready) {
                         return;
@@ -90,40 +252,130 @@ class ShardManager extends Collection {
                 this._client.emit("disconnect");
             });
         }
-        if(shard.status === "disconnected") {
+        if(connect && shard.status === "disconnected") {
             this.connect(shard);
         }
+        return shard;
     }
 
     tryConnect() {
-        if(this.connectQueue.length > 0) {
-            if(this.lastConnect <= Date.now() - 5000) {
-                const shard = this.connectQueue.shift();
-                shard.connect();
-                this.lastConnect = Date.now() + 7500;
-            } else if(!this.connectTimeout) {
-                this.connectTimeout = setTimeout(() => {
-                    this.connectTimeout = null;
-                    this.tryConnect();
-                }, 1000);
+        if(this.connectQueue.length === 0 || this._client.suspended || !this._client.online || this._sessionStartsExhausted()) {
+            return;
+        }
+        for(let i = 0; i < this.connectQueue.length; ++i) {
+            const shard = this.connectQueue[i];
+            if(this._canIdentify(shard)) {
+                this.connectQueue.splice(i--, 1);
+                this._connectShard(shard);
+                if(this._sessionStartsExhausted()) {
+                    return;
+                }
             }
         }
+        if(this.connectQueue.length > 0 && !this.connectTimeout) {
+            this.connectTimeout = setTimeout(() => {
+                this.connectTimeout = null;
+                this.tryConnect();
+            }, 1000);
+        }
+    }
+
+    _canIdentify(shard) {
+        const key = shard.id % this.maxConcurrency;
+        return (this.buckets[key] || 0) <= Date.now() - 5000 && !this.find((other) => other.connecting && other.id % this.maxConcurrency === key);
     }
 
-    _readyPacketCB() {
-        this.lastConnect = Date.now();
+    _connectShard(shard) {
+        if(!shard.sessionID) {
+            this._consumeSessionStart();
+        }
+        if(!shard.ws) {
+            shard.connect();
+        } else if(!shard.connecting) {
+            // Queued by _reidentify(), identify again on the open connection
+            shard.identify();
+        }
+        this.buckets[shard.id % this.maxConcurrency] = Date.now() + 7500;
+    }
+
+    _consumeSessionStart() {
+        if(this.sessionStartLimit && this.sessionStartLimit.remaining > 0) {
+            --this.sessionStartLimit.remaining;
+        }
+    }
+
+    _readyPacketCB(shard) {
+        this.buckets[shard.id % this.maxConcurrency] = Date.now();
+        if(this._client.cluster) {
+            this._client.cluster.releaseIdentify(shard.id);
+        }
         this.tryConnect();
     }
 
+    _reidentify(shard) {
+        if(!this._client.cluster) {
+            // Wait for the bucket and the session start limit like any other identify
+            if(!this.connectQueue.includes(shard)) {
+                this.connectQueue.push(shard);
+            }
+            this.tryConnect();
+            return;
+        }
+        // Give up the identify this shard holds, then queue again behind the other shards
+        this._client.cluster.releaseIdentify(shard.id);
+        // A shard which reconnected in the meantime identifies through connect() instead
+        const ws = shard.ws;
+        this._client.cluster.acquireIdentify(shard.id).then(() => {
+            if(shard.ws === ws && shard.status !== "disconnected" && !shard.sessionID) {
+                shard.identify();
+            } else {
+                this._client.cluster.releaseIdentify(shard.id);
+            }
+        }).catch((err) => this._client.emit("error", err, shard.id));
+    }
+
+    _sessionStartsExhausted() {
+        const limit = this.sessionStartLimit;
+        if(!limit || limit.remaining > 0) {
+            return false;
+        }
+        const now = Date.now();
+        if(limit.resetAt <= now) {
+            limit.remaining = limit.total;
+            limit.resetAt = now + 24 * 60 * 60 * 1000;
+            return false;
+        }
+        if(!this.sessionStartTimeout) {
+            this.sessionStartTimeout = setTimeout(() => {
+                this.sessionStartTimeout = null;
+                this.tryConnect();
+            }, limit.resetAt - now);
+            /**
+            * Fired when shards stop identifying because the session start limit is exhausted. Queued shards identify once it resets. Shards resuming a session are not affected
+            * @event Client#sessionStartLimit
+            * @prop {Object} limit The session start limit
+            * @prop {Number} limit.resetAt Timestamp at which the limit resets
+            * @prop {Number} limit.total How many sessions may be started per reset period
+            */
+            this._client.emit("sessionStartLimit", {
+                resetAt: limit.resetAt,
+                total: limit.total
+            });
+        }
+        return true;
+    }
+
     toString() {
         return `[ShardManager ${this.size}]`;
     }
 
     toJSON(props = []) {
         return Base.prototype.toJSON.call(this, [
+            "buckets",
             "connectQueue",
-            "lastConnect",
             "connectionTimeout",
+            "maxConcurrency",
+            "sessionStartLimit",
             ...props
         ]);
     }
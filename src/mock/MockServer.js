@@ -0,0 +1,941 @@
+"use strict";
+
+/* global BigInt */
+
+const {ChannelTypes, GATEWAY_VERSION, GatewayOPCodes, JSONErrorCodes} = require("../Constants");
+const Endpoints = require("../rest/Endpoints");
+const MockWebSocket = require("./MockWebSocket");
+
+let EventEmitter;
+try {
+    EventEmitter = require("eventemitter3");
+} catch(err) {
+    EventEmitter = require("events").EventEmitter;
+}
+
+const EPOCH = 1420070400000;
+const GATEWAY_URL = "wss://gateway.mock";
+const STATUS_MESSAGES = {
+    200: "OK",
+    204: "No Content",
+    400: "Bad Request",
+    401: "Unauthorized",
+    403: "Forbidden",
+    404: "Not Found",
+    429: "Too Many Requests",
+    500: "Internal Server Error"
+};
+
+let increment = 0;
+
+function generateSnowflake() {
+    return ((BigInt(Date.now() - EPOCH) << BigInt(22)) | BigInt(increment++ % 4096)).toString();
+}
+
+function getHeader(headers, name) {
+    name = name.toLowerCase();
+    for(const key in headers) {
+        if(key.toLowerCase() === name) {
+            return headers[key];
+        }
+    }
+    return null;
+}
+
+function httpError(status, code, message) {
+    const err = new Error(message);
+    err.status = status;
+    err.body = {
+        code,
+        message
+    };
+    return err;
+}
+
+function normalizeToken(token) {
+    return token && token.startsWith("Bot ") ? token.substring(4) : token;
+}
+
+/**
+* An in-process fake of the Helselia REST API and gateway, to exercise a Client or CommandClient end to end without network access. Create the client with `server.clientOptions()`: REST requests then go through the `restTransport` of the server and gateway connections through its `webSocket` factory, so no port is opened
+* The gateway speaks HELLO, IDENTIFY, READY, heartbeats, RESUME and INVALID_SESSION. The REST API serves the common channel, message, reaction, club, member, role, ban, user and gateway routes of Endpoints from in-memory state, dispatching the matching gateway events. Other routes answer 404 until a handler is added with route()
+* @extends EventEmitter
+* @prop {Object} channels Object mapping channel IDs to raw channels
+* @prop {Object} clubs Object mapping club IDs to raw clubs, including their `channels`, `members` and `roles`
+* @prop {Object} messages Object mapping channel IDs to arrays of raw messages, oldest first
+* @prop {Object} options The server options
+* @prop {Object} ratelimits Object mapping route templates (e.g. "/channels/:channelID/messages") to their ratelimit (`{limit, resetAfter}`), or null for no ratelimit. Routes not listed use `options.ratelimit`
+* @prop {Object} restTransport The REST transport to pass as the `restTransport` client option
+* @prop {Object} sessions Object mapping session IDs to gateway sessions (`{id, seq, shard, socket}`)
+* @prop {Object} user The raw user the token belongs to
+* @prop {Object} users Object mapping user IDs to raw users
+* @prop {Function} webSocket The WebSocket factory to pass as the `webSocket` client option
+*/
+class MockServer extends EventEmitter {
+    /**
+    * Create a MockServer
+    * @arg {Object} [options] Server options
+    * @arg {Number} [options.heartbeatInterval=41250] The heartbeat interval sent in HELLO, in milliseconds
+    * @arg {Object?} [options.ratelimit] The default ratelimit of each route (`{limit, resetAfter}`, reset in milliseconds), or null to send no ratelimit headers. Defaults to 5 requests per second
+    * @arg {Number} [options.shards=1] The shard count recommended by the gateway/bot route
+    * @arg {String} [options.token] The token clients must use, with or without the "Bot " prefix. Any token is accepted if omitted
+    * @arg {Object} [options.user] The raw user the token belongs to. Defaults to a bot user named "Mock"
+    */
+    constructor(options = {}) {
+        super();
+
+        this.options = Object.assign({
+            heartbeatInterval: 41250,
+            ratelimit: {
+                limit: 5,
+                resetAfter: 1000
+            },
+            shards: 1
+        }, options);
+        this.channels = {};
+        this.clubs = {};
+        this.messages = {};
+        this.ratelimits = {};
+        this.sessions = {};
+        this.users = {};
+        this.user = this.addUser(Object.assign({
+            bot: true,
+            username: "Mock"
+        }, this.options.user));
+        this.restTransport = {
+            request: (request) => this._handleRequest(request)
+        };
+        this.webSocket = (url) => {
+            const encoding = /[?&]encoding=([^&]*)/.exec(url);
+            if(encoding && encoding[1] !== "json") {
+                throw new Error(`MockServer only supports the "json" gateway encoding, not "${encoding[1]}"`);
+            }
+            return new MockWebSocket(url, this._onOpen.bind(this), this._onPacket.bind(this), this._onClose.bind(this));
+        };
+        this._buckets = {};
+        this._routes = [];
+        this._sockets = [];
+        this._registerRoutes();
+    }
+
+    /**
+    * Add a channel to the server state. Club channels are added to their club, and CHANNEL_CREATE is dispatched
+    * @arg {Object} channel The raw channel. Missing properties (`id`, `type`...) get defaults
+    * @returns {Object} The raw channel
+    */
+    addChannel(channel) {
+        channel = Object.assign({
+            id: generateSnowflake(),
+            last_message_id: null,
+            name: "general",
+            permission_overwrites: [],
+            position: 0,
+            type: ChannelTypes.CLUB_TEXT
+        }, channel);
+        this.channels[channel.id] = channel;
+        this.messages[channel.id] = this.messages[channel.id] || [];
+        const club = channel.club_id && this.clubs[channel.club_id];
+        if(club && !club.channels.includes(channel)) {
+            club.channels.push(channel);
+        }
+        this.dispatch("CHANNEL_CREATE", channel);
+        return channel;
+    }
+
+    /**
+    * Add a club to the server state and dispatch CLUB_CREATE. The user of the server is added as a member
+    * @arg {Object} club The raw club. Missing properties (`id`, `channels`, `members`, `roles`...) get defaults
+    * @returns {Object} The raw club
+    */
+    addClub(club) {
+        club = Object.assign({
+            emojis: [],
+            features: [],
+            id: generateSnowflake(),
+            joined_at: new Date().toISOString(),
+            large: false,
+            name: "Mock Club",
+            owner_id: this.user.id,
+            presences: [],
+            region: "mock",
+            voice_states: []
+        }, club);
+        const channels = club.channels || [];
+        const members = club.members || [];
+        club.channels = [];
+        club.members = [];
+        club.roles = club.roles || [{
+            color: 0,
+            hoist: false,
+            id: club.id,
+            managed: false,
+            mentionable: false,
+            name: "@everyone",
+            permissions: 104324161,
+            position: 0
+        }];
+        this.clubs[club.id] = club;
+        for(const data of channels) {
+            const channel = Object.assign({
+                id: generateSnowflake(),
+                last_message_id: null,
+                name: "general",
+                permission_overwrites: [],
+                position: 0,
+                type: ChannelTypes.CLUB_TEXT
+            }, data, {
+                club_id: club.id
+            });
+            this.channels[channel.id] = channel;
+            this.messages[channel.id] = this.messages[channel.id] || [];
+            club.channels.push(channel);
+        }
+        if(!members.some((member) => member.user.id === this.user.id)) {
+            members.unshift({
+                user: this.user
+            });
+        }
+        for(const member of members) {
+            this._addMember(club, member);
+        }
+        club.member_count = club.members.length;
+        this.dispatch("CLUB_CREATE", club);
+        return club;
+    }
+
+    /**
+    * Add a member to a club and dispatch CLUB_MEMBER_ADD
+    * @arg {String} clubID The ID of the club
+    * @arg {Object} user The raw user, added to the server state if needed
+    * @arg {Object} [member] Other raw member properties (`nick`, `roles`...)
+    * @returns {Object} The raw member
+    */
+    addMember(clubID, user, member) {
+        const club = this._getClub(clubID);
+        member = this._addMember(club, Object.assign({}, member, {
+            user: this.users[user.id] || this.addUser(user)
+        }));
+        club.member_count = club.members.length;
+        this.dispatch("CLUB_MEMBER_ADD", Object.assign({
+            club_id: club.id
+        }, member));
+        return member;
+    }
+
+    /**
+    * Add a user to the server state
+    * @arg {Object} [user] The raw user. Missing properties (`id`, `discriminator`...) get defaults
+    * @returns {Object} The raw user
+    */
+    addUser(user) {
+        user = Object.assign({
+            avatar: null,
+            bot: false,
+            discriminator: "0000",
+            id: generateSnowflake(),
+            username: "Tester"
+        }, user);
+        this.users[user.id] = user;
+        return user;
+    }
+
+    /**
+    * Get client options connecting a client to the server
+    * @arg {Object} [options] Other client options. The mock gateway only speaks uncompressed JSON, so `gatewayEncoding` must be "json" and `compress` false
+    * @returns {Object}
+    */
+    clientOptions(options) {
+        if(options && options.gatewayEncoding !== undefined && options.gatewayEncoding !== "json") {
+            throw new Error(`MockServer only supports the "json" gateway encoding, not "${options.gatewayEncoding}"`);
+        }
+        if(options && options.compress) {
+            throw new Error("MockServer does not support gateway compression");
+        }
+        return Object.assign({
+            compress: false,
+            gatewayEncoding: "json",
+            restTransport: this.restTransport,
+            webSocket: this.webSocket
+        }, options);
+    }
+
+    /**
+    * Close every gateway connection from the server side. Sessions stay resumable unless the code is 1000
+    * @arg {Number} [code=4000] The close code
+    * @arg {String} [reason] The close reason
+    */
+    closeConnections(code = 4000, reason = "") {
+        for(const socket of this._sockets.slice()) {
+            socket.serverClose(code, reason);
+        }
+    }
+
+    /**
+    * Create a message as another user (e.g. to trigger a command) and dispatch MESSAGE_CREATE
+    * @arg {String} channelID The ID of the channel
+    * @arg {String | Object} content The message content, or the raw message properties (`content`, `embeds`...)
+    * @arg {Object} [author] The raw author, added to the server state and to the club of the channel if needed. Defaults to a user named "Tester"
+    * @returns {Object} The raw message
+    */
+    createMessage(channelID, content, author) {
+        if(!author) {
+            author = this._tester || (this._tester = this.addUser());
+        } else if(!this.users[author.id]) {
+            author = this.addUser(author);
+        }
+        const channel = this._getChannel(channelID);
+        if(channel.club_id && !this.clubs[channel.club_id].members.some((member) => member.user.id === author.id)) {
+            this.addMember(channel.club_id, author);
+        }
+        return this._createMessage(channel, typeof content === "string" ? {content} : content, author);
+    }
+
+    /**
+    * Dispatch a gateway event. Events with a `club_id` (or CLUB_ events with an `id`) only go to the session of the shard owning the club
+    * @arg {String} event The event name (e.g. "MESSAGE_CREATE")
+    * @arg {Object} data The event data
+    */
+    dispatch(event, data) {
+        const clubID = data && (data.club_id || (event.startsWith("CLUB_") ? data.id : undefined));
+        for(const id in this.sessions) {
+            const session = this.sessions[id];
+            if(clubID && this._shardForClub(clubID, session.shard[1]) !== session.shard[0]) {
+                continue;
+            }
+            this._dispatch(session, event, data);
+        }
+    }
+
+    /**
+    * Invalidate every gateway session, so clients get INVALID_SESSION when they try to resume
+    */
+    invalidateSessions() {
+        this.sessions = {};
+    }
+
+    /**
+    * Add or replace a REST route handler
+    * @arg {String} method Uppercase HTTP method
+    * @arg {String} template The route template, with `:name` parameters (e.g. "/channels/:channelID/webhooks")
+    * @arg {Function} handler Called with the request (`{body, headers, method, params, path, query}`). Returns the response body, or a promise of it (204 if undefined). Throw an error with `status` and `body` properties to answer with an error
+    */
+    route(method, template, handler) {
+        const segments = template.split("/");
+        const existing = this._routes.find((route) => route.method === method && route.template === template);
+        if(existing) {
+            existing.handler = handler;
+            return;
+        }
+        const route = {handler, method, segments, template};
+        // Literal segments take precedence over parameters (e.g. "/users/@me" over "/users/:userID")
+        const index = this._routes.findIndex((other) => other.segments.length === segments.length && other.segments.every((segment, i) => segment === segments[i] || (segment.startsWith(":") && !segments[i].startsWith(":"))) && other.template !== template);
+        if(index === -1) {
+            this._routes.push(route);
+        } else {
+            this._routes.splice(index, 0, route);
+        }
+    }
+
+    _addMember(club, member) {
+        member = Object.assign({
+            deaf: false,
+            joined_at: new Date().toISOString(),
+            mute: false,
+            nick: null,
+            roles: []
+        }, member);
+        this.users[member.user.id] = this.users[member.user.id] || member.user;
+        club.members = club.members.filter((other) => other.user.id !== member.user.id);
+        club.members.push(member);
+        return member;
+    }
+
+    _checkToken(token) {
+        return !this.options.token || normalizeToken(token) === normalizeToken(this.options.token);
+    }
+
+    _createMessage(channel, data, author) {
+        const message = {
+            attachments: [],
+            author: author,
+            channel_id: channel.id,
+            content: data.content || "",
+            edited_timestamp: null,
+            embeds: data.embeds || (data.embed ? [data.embed] : []),
+            id: generateSnowflake(),
+            mention_everyone: /@(everyone|here)/.test(data.content || ""),
+            mention_roles: [],
+            mentions: [],
+            nonce: data.nonce,
+            pinned: false,
+            timestamp: new Date().toISOString(),
+            tts: !!data.tts,
+            type: 0
+        };
+        const mention = /<@!?(\d+)>/g;
+        let match;
+        while((match = mention.exec(message.content))) {
+            if(this.users[match[1]] && !message.mentions.some((user) => user.id === match[1])) {
+                message.mentions.push(this.users[match[1]]);
+            }
+        }
+        if(channel.club_id) {
+            message.club_id = channel.club_id;
+            const member = this.clubs[channel.club_id].members.find((member) => member.user.id === author.id);
+            if(member) {
+                message.member = Object.assign({}, member);
+                delete message.member.user;
+            }
+        }
+        this.messages[channel.id].push(message);
+        channel.last_message_id = message.id;
+        this.dispatch("MESSAGE_CREATE", message);
+        return message;
+    }
+
+    _dispatch(session, event, data) {
+        const packet = {
+            d: data,
+            op: GatewayOPCodes.EVENT,
+            s: ++session.seq,
+            t: event
+        };
+        session.buffer.push(packet);
+        if(session.buffer.length > 1000) {
+            session.buffer.shift();
+        }
+        if(session.socket) {
+            session.socket.serverSend(packet);
+        }
+    }
+
+    _getChannel(channelID) {
+        const channel = this.channels[channelID];
+        if(!channel) {
+            throw httpError(404, JSONErrorCodes.UNKNOWN_CHANNEL, "Unknown Channel");
+        }
+        return channel;
+    }
+
+    _getClub(clubID) {
+        const club = this.clubs[clubID];
+        if(!club) {
+            throw httpError(404, JSONErrorCodes.UNKNOWN_CLUB, "Unknown Club");
+        }
+        return club;
+    }
+
+    _getMember(club, userID) {
+        const member = club.members.find((member) => member.user.id === userID);
+        if(!member) {
+            throw httpError(404, JSONErrorCodes.UNKNOWN_MEMBER, "Unknown Member");
+        }
+        return member;
+    }
+
+    _getMessage(channelID, messageID) {
+        this._getChannel(channelID);
+        const message = this.messages[channelID].find((message) => message.id === messageID);
+        if(!message) {
+            throw httpError(404, JSONErrorCodes.UNKNOWN_MESSAGE, "Unknown Message");
+        }
+        return message;
+    }
+
+    _getRole(club, roleID) {
+        const role = club.roles.find((role) => role.id === roleID);
+        if(!role) {
+            throw httpError(404, JSONErrorCodes.UNKNOWN_ROLE, "Unknown Role");
+        }
+        return role;
+    }
+
+    async _handleRequest(request) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        let path = request.path.startsWith(Endpoints.BASE_URL) ? request.path.substring(Endpoints.BASE_URL.length) : request.path;
+        const query = {};
+        if(path.includes("?")) {
+            for(const pair of path.substring(path.indexOf("?") + 1).split("&")) {
+                const [key, value = ""] = pair.split("=");
+                query[decodeURIComponent(key)] = decodeURIComponent(value);
+            }
+            path = path.substring(0, path.indexOf("?"));
+        }
+        const headers = {
+            "content-type": "application/json",
+            "date": new Date().toUTCString()
+        };
+        let body;
+        try {
+            body = typeof request.body === "string" ? JSON.parse(request.body) : {};
+        } catch(err) {
+            body = {};
+        }
+        let status;
+        let responseBody;
+        const match = this._match(request.method, path);
+        if(!this._checkToken(request.headers.Authorization)) {
+            status = 401;
+            responseBody = {code: JSONErrorCodes.GENERAL_ERROR, message: "401: Unauthorized"};
+        } else if(!match) {
+            status = 404;
+            responseBody = {code: JSONErrorCodes.GENERAL_ERROR, message: "404: Not Found"};
+        } else if(!this._ratelimit(request.method, match, headers)) {
+            status = 429;
+            responseBody = {global: false, message: "You are being rate limited.", retry_after: +headers["x-ratelimit-reset-after"] * 1000};
+        } else {
+            try {
+                responseBody = await match.route.handler({body: body, headers: request.headers, method: request.method, params: match.params, path: path, query: query});
+                status = responseBody === undefined ? 204 : 200;
+            } catch(err) {
+                status = err.status || 500;
+                responseBody = err.body || {code: JSONErrorCodes.GENERAL_ERROR, message: err.message};
+            }
+        }
+        /**
+        * Fired when the server answers a REST request
+        * @event MockServer#request
+        * @prop {Object} request The request
+        * @prop {Object} request.body The parsed JSON body of the request, if any
+        * @prop {String} request.method Uppercase HTTP method
+        * @prop {String} request.path The path of the request, without the base URL and query string
+        * @prop {Object} request.query The query string parameters
+        * @prop {Object?} request.response The response body
+        * @prop {Number} request.status The HTTP status code of the response
+        */
+        this.emit("request", {body: body, method: request.method, path: path, query: query, response: responseBody, status: status});
+        return {
+            body: responseBody === undefined ? "" : JSON.stringify(responseBody),
+            req: {
+                method: request.method,
+                path: request.path
+            },
+            res: {
+                headers: headers,
+                statusCode: status,
+                statusMessage: STATUS_MESSAGES[status] || ""
+            }
+        };
+    }
+
+    _match(method, path) {
+        const segments = path.split("/");
+        for(const route of this._routes) {
+            if(route.method !== method || route.segments.length !== segments.length) {
+                continue;
+            }
+            const params = {};
+            if(route.segments.every((segment, i) => {
+                if(segment.startsWith(":")) {
+                    params[segment.substring(1)] = decodeURIComponent(segments[i]);
+                    return true;
+                }
+                return segment === segments[i];
+            })) {
+                return {params, route};
+            }
+        }
+        return null;
+    }
+
+    _onClose(socket, code) {
+        this._sockets.splice(this._sockets.indexOf(socket), 1);
+        const session = socket.session;
+        if(session && session.socket === socket) {
+            session.socket = null;
+            if(code === 1000) { // Normal closes end the session
+                delete this.sessions[session.id];
+            }
+        }
+    }
+
+    _onOpen(socket) {
+        this._sockets.push(socket);
+        socket.serverSend({
+            d: {
+                _trace: ["mock-gateway"],
+                heartbeat_interval: this.options.heartbeatInterval
+            },
+            op: GatewayOPCodes.HELLO
+        });
+    }
+
+    _onPacket(socket, packet) {
+        /**
+        * Fired when the server receives a gateway packet
+        * @event MockServer#packet
+        * @prop {Object} packet The packet
+        * @prop {Object?} session The gateway session of the connection, if it identified or resumed
+        */
+        this.emit("packet", packet, socket.session || null);
+        switch(packet.op) {
+            case GatewayOPCodes.HEARTBEAT: {
+                socket.serverSend({
+                    op: GatewayOPCodes.HEARTBEAT_ACK
+                });
+                break;
+            }
+            case GatewayOPCodes.IDENTIFY: {
+                if(!this._checkToken(packet.d.token)) {
+                    socket.serverClose(4004, "Authentication failed");
+                    return;
+                }
+                const session = socket.session = this.sessions[generateSnowflake()] = {
+                    buffer: [],
+                    id: null,
+                    seq: 0,
+                    shard: packet.d.shard || [0, 1],
+                    socket: socket
+                };
+                session.id = Object.keys(this.sessions).find((id) => this.sessions[id] === session);
+                const clubs = Object.keys(this.clubs).map((id) => this.clubs[id]).filter((club) => this._shardForClub(club.id, session.shard[1]) === session.shard[0]);
+                this._dispatch(session, "READY", {
+                    _trace: ["mock-gateway"],
+                    clubs: clubs,
+                    notes: {},
+                    presences: [],
+                    private_channels: Object.keys(this.channels).map((id) => this.channels[id]).filter((channel) => channel.type === ChannelTypes.DM),
+                    relationships: [],
+                    session_id: session.id,
+                    shard: session.shard,
+                    user: this.user,
+                    user_club_settings: [],
+                    user_settings: {},
+                    v: GATEWAY_VERSION
+                });
+                break;
+            }
+            case GatewayOPCodes.RESUME: {
+                const session = this.sessions[packet.d.session_id];
+                if(!session || !this._checkToken(packet.d.token)) {
+                    socket.serverSend({
+                        d: false,
+                        op: GatewayOPCodes.INVALID_SESSION
+                    });
+                    return;
+                }
+                if(session.socket && session.socket !== socket) {
+                    session.socket.session = null;
+                    session.socket.serverClose(4000, "Session resumed elsewhere");
+                }
+                session.socket = socket;
+                socket.session = session;
+                for(const missed of session.buffer) {
+                    if(missed.s > packet.d.seq) {
+                        socket.serverSend(missed);
+                    }
+                }
+                this._dispatch(session, "RESUMED", {
+                    _trace: ["mock-gateway"]
+                });
+                break;
+            }
+            case GatewayOPCodes.GET_CLUB_MEMBERS: {
+                if(!socket.session) {
+                    return;
+                }
+                for(const clubID of [].concat(packet.d.club_id)) {
+                    const club = this.clubs[clubID];
+                    if(club) {
+                        this._dispatch(socket.session, "CLUB_MEMBERS_CHUNK", {
+                            club_id: clubID,
+                            members: club.members,
+                            nonce: packet.d.nonce
+                        });
+                    }
+                }
+                break;
+            }
+        }
+    }
+
+    _ratelimit(method, match, headers) {
+        const config = this.ratelimits[match.route.template] !== undefined ? this.ratelimits[match.route.template] : this.options.ratelimit;
+        if(!config) {
+            return true;
+        }
+        const bucketHash = `${method}:${match.route.template}`;
+        const key = `${bucketHash}:${match.params.channelID || match.params.clubID || ""}`;
+        const now = Date.now();
+        let bucket = this._buckets[key];
+        if(!bucket || bucket.resetAt <= now) {
+            bucket = this._buckets[key] = {
+                remaining: config.limit,
+                resetAt: now + config.resetAfter
+            };
+        }
+        const allowed = bucket.remaining > 0;
+        if(allowed) {
+            --bucket.remaining;
+        }
+        headers["x-ratelimit-bucket"] = bucketHash;
+        headers["x-ratelimit-limit"] = String(config.limit);
+        headers["x-ratelimit-remaining"] = String(bucket.remaining);
+        headers["x-ratelimit-reset"] = String(bucket.resetAt / 1000);
+        headers["x-ratelimit-reset-after"] = String((bucket.resetAt - now) / 1000);
+        if(!allowed) {
+            headers["retry-after"] = String(Math.ceil((bucket.resetAt - now) / 1000));
+        }
+        return allowed;
+    }
+
+    _registerRoutes() {
+        this.route("GET", Endpoints.GATEWAY, () => ({url: GATEWAY_URL}));
+        this.route("GET", Endpoints.GATEWAY_BOT, () => ({
+            session_start_limit: {
+                max_concurrency: 1,
+                remaining: 1000,
+                reset_after: 86400000,
+                total: 1000
+            },
+            shards: this.options.shards,
+            url: GATEWAY_URL
+        }));
+
+        this.route("GET", Endpoints.USER(":userID"), ({params}) => {
+            const user = params.userID === "@me" ? this.user : this.users[params.userID];
+            if(!user) {
+                throw httpError(404, JSONErrorCodes.UNKNOWN_USER, "Unknown User");
+            }
+            return user;
+        });
+        this.route("PATCH", Endpoints.USER("@me"), ({body}) => {
+            Object.assign(this.user, body.username !== undefined ? {username: body.username} : {}, body.avatar !== undefined ? {avatar: body.avatar} : {});
+            this.dispatch("USER_UPDATE", this.user);
+            return this.user;
+        });
+        this.route("GET", Endpoints.USER_CLUBS("@me"), () => Object.keys(this.clubs).map((id) => ({
+            id: id,
+            name: this.clubs[id].name,
+            owner: this.clubs[id].owner_id === this.user.id
+        })));
+        this.route("DELETE", Endpoints.USER_CLUB("@me", ":clubID"), ({params}) => {
+            this._getClub(params.clubID);
+            delete this.clubs[params.clubID];
+            this.dispatch("CLUB_DELETE", {id: params.clubID});
+        });
+        this.route("POST", Endpoints.USER_CHANNELS("@me"), ({body}) => {
+            const recipient = this.users[body.recipient_id];
+            if(!recipient) {
+                throw httpError(404, JSONErrorCodes.UNKNOWN_USER, "Unknown User");
+            }
+            const existing = Object.keys(this.channels).map((id) => this.channels[id]).find((channel) => channel.type === ChannelTypes.DM && channel.recipients[0].id === recipient.id);
+            return existing || this.addChannel({
+                recipients: [recipient],
+                type: ChannelTypes.DM
+            });
+        });
+
+        this.route("GET", Endpoints.CHANNEL(":channelID"), ({params}) => this._getChannel(params.channelID));
+        this.route("PATCH", Endpoints.CHANNEL(":channelID"), ({body, params}) => {
+            const channel = Object.assign(this._getChannel(params.channelID), body);
+            this.dispatch("CHANNEL_UPDATE", channel);
+            return channel;
+        });
+        this.route("DELETE", Endpoints.CHANNEL(":channelID"), ({params}) => {
+            const channel = this._getChannel(params.channelID);
+            delete this.channels[channel.id];
+            delete this.messages[channel.id];
+            if(channel.club_id && this.clubs[channel.club_id]) {
+                this.clubs[channel.club_id].channels = this.clubs[channel.club_id].channels.filter((other) => other.id !== channel.id);
+            }
+            this.dispatch("CHANNEL_DELETE", channel);
+            return channel;
+        });
+        this.route("GET", Endpoints.CHANNEL_MESSAGES(":channelID"), ({params, query}) => {
+            this._getChannel(params.channelID);
+            let messages = this.messages[params.channelID].slice().reverse(); // Newest first
+            if(query.before) {
+                messages = messages.filter((message) => BigInt(message.id) < BigInt(query.before));
+            }
+            if(query.after) {
+                messages = messages.filter((message) => BigInt(message.id) > BigInt(query.after));
+            }
+            return messages.slice(0, +query.limit || 50);
+        });
+        this.route("POST", Endpoints.CHANNEL_MESSAGES(":channelID"), ({body, params}) => this._createMessage(this._getChannel(params.channelID), body, this.user));
+        this.route("GET", Endpoints.CHANNEL_MESSAGE(":channelID", ":messageID"), ({params}) => this._getMessage(params.channelID, params.messageID));
+        this.route("PATCH", Endpoints.CHANNEL_MESSAGE(":channelID", ":messageID"), ({body, params}) => {
+            const message = this._getMessage(params.channelID, params.messageID);
+            if(body.content !== undefined) {
+                message.content = body.content;
+            }
+            if(body.embed !== undefined) {
+                message.embeds = body.embed ? [body.embed] : [];
+            }
+            message.edited_timestamp = new Date().toISOString();
+            this.dispatch("MESSAGE_UPDATE", message);
+            return message;
+        });
+        this.route("DELETE", Endpoints.CHANNEL_MESSAGE(":channelID", ":messageID"), ({params}) => {
+            const message = this._getMessage(params.channelID, params.messageID);
+            this.messages[params.channelID].splice(this.messages[params.channelID].indexOf(message), 1);
+            this.dispatch("MESSAGE_DELETE", {channel_id: message.channel_id, club_id: message.club_id, id: message.id});
+        });
+        this.route("POST", Endpoints.CHANNEL_BULK_DELETE(":channelID"), ({body, params}) => {
+            this._getChannel(params.channelID);
+            this.messages[params.channelID] = this.messages[params.channelID].filter((message) => !body.messages.includes(message.id));
+            this.dispatch("MESSAGE_DELETE_BULK", {channel_id: params.channelID, club_id: this.channels[params.channelID].club_id, ids: body.messages});
+        });
+        this.route("PUT", Endpoints.CHANNEL_MESSAGE_REACTION_USER(":channelID", ":messageID", ":reaction", "@me"), ({params}) => {
+            const message = this._getMessage(params.channelID, params.messageID);
+            const [name, id = null] = params.reaction.split(":");
+            message.reactions = message.reactions || [];
+            const reaction = message.reactions.find((reaction) => reaction.emoji.name === name);
+            if(reaction) {
+                if(!reaction.me) {
+                    reaction.count++;
+                    reaction.me = true;
+                }
+            } else {
+                message.reactions.push({count: 1, emoji: {id, name}, me: true});
+            }
+            this.dispatch("MESSAGE_REACTION_ADD", {channel_id: message.channel_id, club_id: message.club_id, emoji: {id, name}, message_id: message.id, user_id: this.user.id});
+        });
+        this.route("DELETE", Endpoints.CHANNEL_MESSAGE_REACTION_USER(":channelID", ":messageID", ":reaction", ":userID"), ({params}) => {
+            const message = this._getMessage(params.channelID, params.messageID);
+            const [name, id = null] = params.reaction.split(":");
+            const userID = params.userID === "@me" ? this.user.id : params.userID;
+            const reaction = (message.reactions || []).find((reaction) => reaction.emoji.name === name);
+            if(reaction) {
+                reaction.count--;
+                if(userID === this.user.id) {
+                    reaction.me = false;
+                }
+                message.reactions = message.reactions.filter((reaction) => reaction.count > 0);
+            }
+            this.dispatch("MESSAGE_REACTION_REMOVE", {channel_id: message.channel_id, club_id: message.club_id, emoji: {id, name}, message_id: message.id, user_id: userID});
+        });
+        this.route("POST", Endpoints.CHANNEL_TYPING(":channelID"), ({params}) => {
+            this._getChannel(params.channelID);
+        });
+        this.route("GET", Endpoints.CHANNEL_PINS(":channelID"), ({params}) => {
+            this._getChannel(params.channelID);
+            return this.messages[params.channelID].filter((message) => message.pinned);
+        });
+        this.route("PUT", Endpoints.CHANNEL_PIN(":channelID", ":messageID"), ({params}) => {
+            this._getMessage(params.channelID, params.messageID).pinned = true;
+            this.dispatch("CHANNEL_PINS_UPDATE", {channel_id: params.channelID, club_id: this.channels[params.channelID].club_id, last_pin_timestamp: new Date().toISOString()});
+        });
+        this.route("DELETE", Endpoints.CHANNEL_PIN(":channelID", ":messageID"), ({params}) => {
+            this._getMessage(params.channelID, params.messageID).pinned = false;
+            this.dispatch("CHANNEL_PINS_UPDATE", {channel_id: params.channelID, club_id: this.channels[params.channelID].club_id, last_pin_timestamp: null});
+        });
+
+        this.route("GET", Endpoints.CLUB(":clubID"), ({params}) => this._getClub(params.clubID));
+        this.route("PATCH", Endpoints.CLUB(":clubID"), ({body, params}) => {
+            const club = Object.assign(this._getClub(params.clubID), body);
+            this.dispatch("CLUB_UPDATE", club);
+            return club;
+        });
+        this.route("GET", Endpoints.CLUB_CHANNELS(":clubID"), ({params}) => this._getClub(params.clubID).channels);
+        this.route("POST", Endpoints.CLUB_CHANNELS(":clubID"), ({body, params}) => {
+            this._getClub(params.clubID);
+            return this.addChannel(Object.assign({}, body, {club_id: params.clubID}));
+        });
+        this.route("GET", Endpoints.CLUB_MEMBERS(":clubID"), ({params, query}) => {
+            let members = this._getClub(params.clubID).members;
+            if(query.after) {
+                members = members.filter((member) => BigInt(member.user.id) > BigInt(query.after));
+            }
+            return members.slice(0, +query.limit || 1);
+        });
+        this.route("GET", Endpoints.CLUB_MEMBER(":clubID", ":userID"), ({params}) => this._getMember(this._getClub(params.clubID), params.userID));
+        this.route("PATCH", Endpoints.CLUB_MEMBER(":clubID", ":userID"), ({body, params}) => {
+            const member = this._getMember(this._getClub(params.clubID), params.userID);
+            if(body.nick !== undefined) {
+                member.nick = body.nick || null;
+            }
+            if(body.roles !== undefined) {
+                member.roles = body.roles;
+            }
+            this.dispatch("CLUB_MEMBER_UPDATE", Object.assign({club_id: params.clubID}, member));
+            return member;
+        });
+        this.route("DELETE", Endpoints.CLUB_MEMBER(":clubID", ":userID"), ({params}) => {
+            const club = this._getClub(params.clubID);
+            const member = this._getMember(club, params.userID);
+            club.members.splice(club.members.indexOf(member), 1);
+            club.member_count = club.members.length;
+            this.dispatch("CLUB_MEMBER_REMOVE", {club_id: club.id, user: member.user});
+        });
+        this.route("PUT", Endpoints.CLUB_MEMBER_ROLE(":clubID", ":userID", ":roleID"), ({params}) => {
+            const club = this._getClub(params.clubID);
+            const member = this._getMember(club, params.userID);
+            this._getRole(club, params.roleID);
+            if(!member.roles.includes(params.roleID)) {
+                member.roles.push(params.roleID);
+            }
+            this.dispatch("CLUB_MEMBER_UPDATE", Object.assign({club_id: club.id}, member));
+        });
+        this.route("DELETE", Endpoints.CLUB_MEMBER_ROLE(":clubID", ":userID", ":roleID"), ({params}) => {
+            const club = this._getClub(params.clubID);
+            const member = this._getMember(club, params.userID);
+            member.roles = member.roles.filter((roleID) => roleID !== params.roleID);
+            this.dispatch("CLUB_MEMBER_UPDATE", Object.assign({club_id: club.id}, member));
+        });
+        this.route("GET", Endpoints.CLUB_ROLES(":clubID"), ({params}) => this._getClub(params.clubID).roles);
+        this.route("POST", Endpoints.CLUB_ROLES(":clubID"), ({body, params}) => {
+            const club = this._getClub(params.clubID);
+            const role = Object.assign({
+                color: 0,
+                hoist: false,
+                id: generateSnowflake(),
+                managed: false,
+                mentionable: false,
+                name: "new role",
+                permissions: 0,
+                position: club.roles.length
+            }, body);
+            club.roles.push(role);
+            this.dispatch("CLUB_ROLE_CREATE", {club_id: club.id, role: role});
+            return role;
+        });
+        this.route("PATCH", Endpoints.CLUB_ROLE(":clubID", ":roleID"), ({body, params}) => {
+            const club = this._getClub(params.clubID);
+            const role = Object.assign(this._getRole(club, params.roleID), body);
+            this.dispatch("CLUB_ROLE_UPDATE", {club_id: club.id, role: role});
+            return role;
+        });
+        this.route("DELETE", Endpoints.CLUB_ROLE(":clubID", ":roleID"), ({params}) => {
+            const club = this._getClub(params.clubID);
+            const role = this._getRole(club, params.roleID);
+            club.roles.splice(club.roles.indexOf(role), 1);
+            for(const member of club.members) {
+                member.roles = member.roles.filter((roleID) => roleID !== role.id);
+            }
+            this.dispatch("CLUB_ROLE_DELETE", {club_id: club.id, role_id: role.id});
+        });
+        this.route("GET", Endpoints.CLUB_BANS(":clubID"), ({params}) => this._getClub(params.clubID).bans || []);
+        this.route("PUT", Endpoints.CLUB_BAN(":clubID", ":userID"), ({headers, params}) => {
+            const club = this._getClub(params.clubID);
+            const user = this.users[params.userID];
+            if(!user) {
+                throw httpError(404, JSONErrorCodes.UNKNOWN_USER, "Unknown User");
+            }
+            club.bans = (club.bans || []).filter((ban) => ban.user.id !== user.id).concat({reason: getHeader(headers, "X-Audit-Log-Reason"), user: user});
+            const member = club.members.find((member) => member.user.id === user.id);
+            if(member) {
+                club.members.splice(club.members.indexOf(member), 1);
+                club.member_count = club.members.length;
+                this.dispatch("CLUB_MEMBER_REMOVE", {club_id: club.id, user: user});
+            }
+            this.dispatch("CLUB_BAN_ADD", {club_id: club.id, user: user});
+        });
+        this.route("DELETE", Endpoints.CLUB_BAN(":clubID", ":userID"), ({params}) => {
+            const club = this._getClub(params.clubID);
+            const ban = (club.bans || []).find((ban) => ban.user.id === params.userID);
+            if(!ban) {
+                throw httpError(404, JSONErrorCodes.UNKNOWN_BAN, "Unknown Ban");
+            }
+            club.bans.splice(club.bans.indexOf(ban), 1);
+            this.dispatch("CLUB_BAN_REMOVE", {club_id: club.id, user: ban.user});
+        });
+    }
+
+    _shardForClub(clubID, shardCount) {
+        return Number((BigInt(clubID) >> BigInt(22)) % BigInt(shardCount));
+    }
+}
+
+module.exports = MockServer;
@@ -0,0 +1,97 @@
+"use strict";
+
+let EventEmitter;
+try {
+    EventEmitter = require("eventemitter3");
+} catch(err) {
+    EventEmitter = require("events").EventEmitter;
+}
+
+/**
+* The client side of a gateway connection to a MockServer, with the `ws`-like interface Shard uses. Created by the `webSocket` factory of the server
+* Messages are delivered asynchronously in both directions, like over a network
+* @extends EventEmitter
+* @prop {Number} readyState The state of the connection, see the CONNECTING, OPEN, CLOSING and CLOSED constants
+* @prop {String} url The URL the socket was opened with
+*/
+class MockWebSocket extends EventEmitter {
+    /**
+    * Create a MockWebSocket
+    * @arg {String} url The gateway URL
+    * @arg {Function} onOpen Called by the server side with the socket once it is open
+    * @arg {Function} onMessage Called with the socket and each packet the client sends
+    * @arg {Function} onClose Called with the socket, the code and the reason when the client closes it
+    */
+    constructor(url, onOpen, onMessage, onClose) {
+        super();
+        this.readyState = MockWebSocket.CONNECTING;
+        this.url = url;
+        this._onClose = onClose;
+        this._onMessage = onMessage;
+        setTimeout(() => {
+            if(this.readyState !== MockWebSocket.CONNECTING) {
+                return;
+            }
+            this.readyState = MockWebSocket.OPEN;
+            this.emit("open");
+            onOpen(this);
+        }, 0);
+    }
+
+    close(code = 1000, reason = "") {
+        if(this.readyState === MockWebSocket.CLOSED || this.readyState === MockWebSocket.CLOSING) {
+            return;
+        }
+        this.readyState = MockWebSocket.CLOSING;
+        setTimeout(() => {
+            this.readyState = MockWebSocket.CLOSED;
+            this._onClose(this, code, reason);
+            this.emit("close", code, reason);
+        }, 0);
+    }
+
+    removeEventListener(type, listener) {
+        return this.removeListener(type, listener);
+    }
+
+    send(data) {
+        if(this.readyState !== MockWebSocket.OPEN) {
+            throw new Error("WebSocket is not open");
+        }
+        const packet = JSON.parse(data);
+        setTimeout(() => this._onMessage(this, packet), 0);
+    }
+
+    /**
+    * Close the socket from the server side
+    * @arg {Number} code The close code
+    * @arg {String} [reason] The close reason
+    */
+    serverClose(code, reason = "") {
+        this.close(code, reason);
+    }
+
+    /**
+    * Send a packet from the server side
+    * @arg {Object} packet The packet
+    */
+    serverSend(packet) {
+        const data = JSON.stringify(packet);
+        setTimeout(() => {
+            if(this.readyState === MockWebSocket.OPEN) {
+                this.emit("message", data);
+            }
+        }, 0);
+    }
+
+    terminate() {
+        this.close(1006, "");
+    }
+}
+
+MockWebSocket.CONNECTING = 0;
+MockWebSocket.OPEN = 1;
+MockWebSocket.CLOSING = 2;
+MockWebSocket.CLOSED = 3;
+
+module.exports = MockWebSocket;
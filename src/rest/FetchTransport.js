@@ -0,0 +1,141 @@
+"use strict";
+
+/* global AbortController, Blob, fetch, FormData */
+
+/**
+* Sends REST requests using the WHATWG `fetch` API. Response decompression is left to the platform
+* @prop {String} baseURL The URL requests are sent to, without the path
+* @prop {Number} requestTimeout A number of milliseconds before requests are aborted
+*/
+class FetchTransport {
+    /**
+    * Create a FetchTransport
+    * @arg {Object} [options] Transport options
+    * @arg {Function} [options.AbortController] The AbortController implementation to use for timeouts. Defaults to the global AbortController
+    * @arg {String} options.baseURL The URL to send requests to, without the path
+    * @arg {Function} [options.fetch] The fetch implementation to use. Defaults to the global fetch
+    * @arg {Number} [options.requestTimeout] A number of milliseconds before requests are aborted
+    */
+    constructor(options = {}) {
+        this.baseURL = options.baseURL;
+        this.requestTimeout = options.requestTimeout;
+        this._fetch = options.fetch || (typeof fetch !== "undefined" ? fetch : null);
+        this._AbortController = options.AbortController || (typeof AbortController !== "undefined" ? AbortController : null);
+        if(!this._fetch) {
+            throw new Error("No fetch implementation found");
+        }
+    }
+
+    /**
+    * Send a request
+    * @arg {Object} options Request options
+    * @arg {Array<ArrayBuffer | Uint8Array> | ArrayBuffer | Blob | MultipartData | String} [options.body] The request payload. MultipartData bodies with file URIs are sent as FormData where available, other ones as a Blob
+    * @arg {Object} options.headers Request headers
+    * @arg {String} options.method Uppercase HTTP method
+    * @arg {Function} [options.onProgress] Called with the number of bytes sent and the total (null if unknown) for MultipartData bodies. fetch does not report upload progress, so this is only called once the upload completes
+    * @arg {String} options.path The path to request, including the query string
+    * @arg {AbortSignal} [options.signal] A signal used to abort the request
+    * @returns {Promise<Object>} Resolves with {req: Object, res: Object, body: String}
+    */
+    async request(options) {
+        const req = {
+            method: options.method,
+            path: options.path
+        };
+        const controller = this._AbortController ? new this._AbortController() : null;
+        let timeout = null;
+        let timedOut = false;
+        if(controller && this.requestTimeout > 0) {
+            timeout = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, this.requestTimeout);
+        }
+        const onAbort = () => controller.abort();
+        if(controller && options.signal) {
+            if(options.signal.aborted) {
+                controller.abort();
+            } else {
+                options.signal.addEventListener("abort", onAbort);
+            }
+        }
+
+        try {
+            const headers = Object.assign({}, options.headers);
+            const body = await this._formatBody(options.body, headers);
+            const response = await this._fetch(this.baseURL + options.path, {
+                method: options.method,
+                headers: headers,
+                body: body,
+                signal: controller ? controller.signal : options.signal
+            });
+            if(options.onProgress && options.body && typeof options.body.stream === "function") {
+                const total = body.size !== undefined ? body.size : options.body.length;
+                options.onProgress(total, total);
+            }
+            const resHeaders = {};
+            response.headers.forEach((value, key) => {
+                resHeaders[key.toLowerCase()] = value;
+            });
+            const res = {
+                headers: resHeaders,
+                raw: response,
+                statusCode: response.status,
+                statusMessage: response.statusText
+            };
+            return {req: req, res: res, body: await response.text()};
+        } catch(err) {
+            const error = timedOut ? new Error(`Request timed out (>${this.requestTimeout}ms) on ${options.method} ${options.path}`) : err;
+            if(timedOut) {
+                error.code = "ETIMEDOUT";
+            } else if(error instanceof TypeError && !error.code) { // fetch rejects with a TypeError on network failures
+                error.code = "ENETWORK";
+            }
+            error.req = req;
+            throw error;
+        } finally {
+            if(timeout) {
+                clearTimeout(timeout);
+            }
+            if(controller && options.signal) {
+                options.signal.removeEventListener("abort", onAbort);
+            }
+        }
+    }
+
+    async _formatBody(body, headers) {
+        if(body && typeof body.stream === "function") {
+            if(body.hasURIs && typeof FormData !== "undefined") {
+                delete headers["Content-Type"]; // FormData sets its own boundary
+                return body.toFormData();
+            }
+            if(typeof Blob !== "undefined") {
+                return body.toBlob();
+            }
+            const chunks = [];
+            for await (const chunk of body.stream()) {
+                chunks.push(chunk);
+            }
+            body = chunks;
+        }
+        if(!Array.isArray(body)) {
+            return body;
+        }
+        if(typeof Blob !== "undefined") {
+            return new Blob(body);
+        }
+        let length = 0;
+        for(const chunk of body) {
+            length += chunk.byteLength;
+        }
+        const data = new Uint8Array(length);
+        let offset = 0;
+        for(const chunk of body) {
+            data.set(chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk), offset);
+            offset += chunk.byteLength;
+        }
+        return data;
+    }
+}
+
+module.exports = FetchTransport;
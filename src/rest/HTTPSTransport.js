@@ -0,0 +1,152 @@
+"use strict";
+
+const HTTPS = require("@kierajs/react-native-http");
+const Zlib = require("browserify-zlib");
+
+/**
+* Sends REST requests using the Node.js-compatible `https` module
+* @prop {Object?} agent The HTTP Agent used to proxy requests
+* @prop {String} host The host requests are sent to
+* @prop {Number} requestTimeout A number of milliseconds before requests are aborted
+*/
+class HTTPSTransport {
+    /**
+    * Create an HTTPSTransport
+    * @arg {Object} [options] Transport options
+    * @arg {Object} [options.agent] A HTTP Agent used to proxy requests
+    * @arg {String} options.host The host to send requests to
+    * @arg {Number} [options.requestTimeout] A number of milliseconds before requests are aborted
+    */
+    constructor(options = {}) {
+        this.agent = options.agent;
+        this.host = options.host;
+        this.requestTimeout = options.requestTimeout;
+    }
+
+    /**
+    * Send a request
+    * @arg {Object} options Request options
+    * @arg {Array<Buffer> | MultipartData | String} [options.body] The request payload
+    * @arg {Object} options.headers Request headers
+    * @arg {String} options.method Uppercase HTTP method
+    * @arg {Function} [options.onProgress] Called with the number of bytes written and the total (null if unknown) while a MultipartData body is uploaded
+    * @arg {String} options.path The path to request, including the query string
+    * @arg {AbortSignal} [options.signal] A signal used to abort the request
+    * @returns {Promise<Object>} Resolves with {req: ClientRequest, res: IncomingMessage, body: String}
+    */
+    request(options) {
+        return new Promise((resolve, reject) => {
+            const req = HTTPS.request({
+                method: options.method,
+                host: this.host,
+                path: options.path,
+                headers: Object.assign({
+                    "Accept-Encoding": "gzip,deflate"
+                }, options.headers),
+                agent: this.agent
+            });
+
+            let reqError;
+            let timeout = null;
+
+            const onAbort = () => req.abort();
+            if(options.signal) {
+                options.signal.addEventListener("abort", onAbort);
+            }
+            const cleanup = () => {
+                clearTimeout(timeout);
+                if(options.signal) {
+                    options.signal.removeEventListener("abort", onAbort);
+                }
+            };
+            if(this.requestTimeout > 0) {
+                timeout = setTimeout(() => {
+                    reqError = new Error(`Request timed out (>${this.requestTimeout}ms) on ${options.method} ${options.path}`);
+                    reqError.code = "ETIMEDOUT";
+                    req.abort();
+                }, this.requestTimeout);
+            }
+
+            req.once("abort", () => {
+                cleanup();
+                reqError = reqError || new Error(`Request aborted by client on ${options.method} ${options.path}`);
+                reqError.req = req;
+                reject(reqError);
+            }).once("error", (err) => {
+                reqError = err;
+                req.abort();
+            });
+
+            req.once("response", (res) => {
+                res.once("aborted", () => {
+                    cleanup();
+                    reqError = reqError || new Error(`Request aborted by server on ${options.method} ${options.path}`);
+                    reqError.req = req;
+                    reject(reqError);
+                });
+
+                let body = "";
+
+                let _respStream = res;
+                if(res.headers["content-encoding"]) {
+                    if(res.headers["content-encoding"].includes("gzip")) {
+                        _respStream = res.pipe(Zlib.createGunzip());
+                    } else if(res.headers["content-encoding"].includes("deflate")) {
+                        _respStream = res.pipe(Zlib.createInflate());
+                    }
+                }
+
+                _respStream.on("data", (str) => {
+                    body += str;
+                }).on("error", (err) => {
+                    reqError = err;
+                    req.destroy();
+                }).once("end", () => {
+                    cleanup();
+                    resolve({req, res, body});
+                });
+            });
+
+            if(options.body && typeof options.body.stream === "function") {
+                this._writeStream(req, options.body, options.onProgress).catch((err) => {
+                    reqError = reqError || err;
+                    req.abort();
+                });
+            } else if(Array.isArray(options.body)) {
+                for(const chunk of options.body) {
+                    req.write(chunk);
+                }
+                req.end();
+            } else {
+                req.end(options.body);
+            }
+        });
+    }
+
+    async _writeStream(req, body, onProgress) {
+        const total = body.length;
+        let loaded = 0;
+        for await (const chunk of body.stream()) {
+            if(!req.write(chunk)) {
+                await new Promise((resolve, reject) => {
+                    const onDrain = () => {
+                        req.removeListener("abort", onEnd).removeListener("close", onEnd).removeListener("error", onEnd);
+                        resolve();
+                    };
+                    const onEnd = (err) => {
+                        req.removeListener("drain", onDrain).removeListener("abort", onEnd).removeListener("close", onEnd).removeListener("error", onEnd);
+                        reject(err || new Error("Request closed before its body was sent"));
+                    };
+                    req.once("drain", onDrain).once("abort", onEnd).once("close", onEnd).once("error", onEnd);
+                });
+            }
+            loaded += chunk.byteLength;
+            if(onProgress) {
+                onProgress(loaded, total);
+            }
+        }
+        req.end();
+    }
+}
+
+module.exports = HTTPSTransport;
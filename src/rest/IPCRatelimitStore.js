@@ -0,0 +1,132 @@
+"use strict";
+
+/**
+* A ratelimit store which forwards to a RatelimitCoordinator over a local socket, so several processes using the same token share their ratelimits. Requires the Node.js `net` module
+* The connection is opened on first use and reopened after it is lost. Acquires pending when the connection is lost or taking longer than `acquireTimeout` reject, in which case RequestHandler sends the request without waiting
+* @prop {Number} acquireTimeout How long in milliseconds to wait for the coordinator to grant a bucket
+* @prop {Object} options The options used to connect, passed to `net.createConnection()` (e.g. `{path}` for a local socket or `{port, host}`)
+*/
+class IPCRatelimitStore {
+    /**
+    * Create an IPCRatelimitStore
+    * @arg {Object} options The options used to connect, passed to `net.createConnection()`
+    * @arg {Number} [options.acquireTimeout=30000] How long in milliseconds to wait for the coordinator to grant a bucket. Ratelimits can hold buckets for a while, so this should be well above the usual reset intervals
+    * @arg {String} [options.host] The host of the coordinator
+    * @arg {String} [options.path] The path of the local socket of the coordinator
+    * @arg {Number} [options.port] The port of the coordinator
+    */
+    constructor(options) {
+        this.options = Object.assign({}, options);
+        this.acquireTimeout = this.options.acquireTimeout || 30000;
+        delete this.options.acquireTimeout;
+        this._buffer = "";
+        this._expired = {};
+        this._lastID = 0;
+        this._pending = {};
+        this._socket = null;
+    }
+
+    /**
+    * Update the state of a bucket, or of the global ratelimit. See MemoryRatelimitStore#update()
+    * @arg {String} key The bucket key
+    * @arg {Object} state The new state
+    */
+    update(key, state) {
+        this._send({key: key, op: "update", state: state});
+    }
+
+    /**
+    * Wait until the coordinator grants a bucket
+    * @arg {String} key The bucket key
+    * @returns {Promise}
+    */
+    acquire(key) {
+        const id = ++this._lastID;
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                delete this._pending[id];
+                this._expired[id] = key; // Released as soon as the coordinator grants it
+                reject(new Error(`Timed out acquiring ratelimit bucket ${key} from the coordinator`));
+            }, this.acquireTimeout);
+            this._pending[id] = {
+                reject: (err) => {
+                    clearTimeout(timeout);
+                    reject(err);
+                },
+                resolve: () => {
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            };
+            this._send({id: id, key: key, op: "acquire"});
+        });
+    }
+
+    /**
+    * Disconnect from the coordinator
+    */
+    disconnect() {
+        if(this._socket) {
+            this._socket.destroy();
+        }
+    }
+
+    /**
+    * Release a bucket acquired with acquire()
+    * @arg {String} key The bucket key
+    */
+    release(key) {
+        this._send({key: key, op: "release"});
+    }
+
+    _connect() {
+        const Net = require("net");
+        const socket = this._socket = Net.createConnection(this.options);
+        socket.setEncoding("utf8");
+        socket.on("data", (data) => {
+            this._buffer += data;
+            let index;
+            while((index = this._buffer.indexOf("\n")) !== -1) {
+                const line = this._buffer.substring(0, index);
+                this._buffer = this._buffer.substring(index + 1);
+                let message;
+                try {
+                    message = JSON.parse(line);
+                } catch(err) {
+                    continue;
+                }
+                if(this._pending[message.id]) {
+                    if(message.error) {
+                        this._pending[message.id].reject(new Error(message.error));
+                    } else {
+                        this._pending[message.id].resolve();
+                    }
+                    delete this._pending[message.id];
+                } else if(this._expired[message.id]) {
+                    if(!message.error) {
+                        this.release(this._expired[message.id]);
+                    }
+                    delete this._expired[message.id];
+                }
+            }
+        }).on("error", () => socket.destroy()).on("close", () => {
+            if(this._socket === socket) {
+                this._socket = null;
+                this._buffer = "";
+            }
+            this._expired = {}; // The coordinator releases what the connection held
+            const error = new Error("Lost connection to the ratelimit coordinator");
+            for(const id in this._pending) {
+                this._pending[id].reject(error);
+            }
+            this._pending = {};
+        });
+        return socket;
+    }
+
+    _send(message) {
+        (this._socket && !this._socket.destroyed ? this._socket : this._connect()).write(JSON.stringify(message) + "\n");
+    }
+}
+
+module.exports = IPCRatelimitStore;
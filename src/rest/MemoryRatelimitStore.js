@@ -0,0 +1,98 @@
+"use strict";
+
+/**
+* Keeps ratelimit state in memory, e.g. as the store a RatelimitCoordinator shares. When the `ratelimitStore` Client option is set, RequestHandler acquires a bucket from the store before sending a request, releases it once the response is handled, and updates the store from the ratelimit headers in between
+* Ratelimit stores may be swapped for any object implementing the same (possibly async) `acquire(key)`, `release(key)` and `update(key, state)` methods, see IPCRatelimitStore
+* @prop {Object} buckets Object mapping bucket keys to their state ({limit, remaining, reset, locked})
+* @prop {Number} globalReset Timestamp at which the global ratelimit ends
+*/
+class MemoryRatelimitStore {
+    constructor() {
+        this.buckets = {};
+        this.globalReset = 0;
+    }
+
+    /**
+    * Update the state of a bucket, or of the global ratelimit
+    * @arg {String} key The bucket key
+    * @arg {Object} state The new state
+    * @arg {Boolean} [state.global] Whether the global ratelimit was hit. If true, only `state.reset` is used
+    * @arg {Number} [state.limit] How many requests the bucket allows per interval
+    * @arg {Number} [state.remaining] How many requests the bucket has left in the current interval
+    * @arg {Number} state.reset Timestamp at which the bucket (or the global ratelimit) resets
+    */
+    update(key, state) {
+        if(state.global) {
+            this.globalReset = Math.max(this.globalReset, state.reset);
+            return;
+        }
+        const bucket = this._getBucket(key);
+        if(state.limit !== undefined) {
+            bucket.limit = state.limit;
+        }
+        if(state.remaining !== undefined) {
+            bucket.remaining = state.remaining;
+        }
+        bucket.reset = state.reset;
+        this._process(bucket);
+    }
+
+    /**
+    * Wait until a request may be sent in a bucket. Only one request holds a bucket at a time, until it is released
+    * @arg {String} key The bucket key
+    * @returns {Promise}
+    */
+    acquire(key) {
+        const bucket = this._getBucket(key);
+        return new Promise((resolve) => {
+            bucket.waiters.push(resolve);
+            this._process(bucket);
+        });
+    }
+
+    /**
+    * Release a bucket acquired with acquire()
+    * @arg {String} key The bucket key
+    */
+    release(key) {
+        const bucket = this.buckets[key];
+        if(bucket) {
+            bucket.locked = false;
+            this._process(bucket);
+        }
+    }
+
+    _getBucket(key) {
+        return this.buckets[key] || (this.buckets[key] = {
+            limit: 1,
+            locked: false,
+            remaining: 1,
+            reset: 0,
+            timeout: null,
+            waiters: []
+        });
+    }
+
+    _process(bucket) {
+        if(bucket.locked || bucket.timeout || bucket.waiters.length === 0) {
+            return;
+        }
+        const now = Date.now();
+        const wait = Math.max(this.globalReset - now, bucket.remaining <= 0 ? bucket.reset - now : 0);
+        if(wait > 0) {
+            bucket.timeout = setTimeout(() => {
+                bucket.timeout = null;
+                this._process(bucket);
+            }, wait);
+            return;
+        }
+        if(bucket.reset <= now) {
+            bucket.remaining = bucket.limit;
+        }
+        --bucket.remaining;
+        bucket.locked = true;
+        bucket.waiters.shift()();
+    }
+}
+
+module.exports = MemoryRatelimitStore;
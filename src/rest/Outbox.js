@@ -0,0 +1,263 @@
+"use strict";
+
+const AbortError = require("../errors/AbortError");
+const HelseliaHTTPError = require("../errors/HelseliaHTTPError");
+const HelseliaRESTError = require("../errors/HelseliaRESTError");
+
+// Operations whose body carries the nonce of the entry, so the API can drop duplicates when an entry is replayed after an ambiguous failure
+const NONCE_OPERATIONS = ["createMessage"];
+const STORAGE_KEY = "kiera:outbox";
+
+function generateNonce() {
+    return Date.now().toString(36) + Math.random().toString(36).substring(2, 10);
+}
+
+/**
+* Queues write requests (message sends, edits and reactions) while the device is offline, and replays them in order once it is back online. The queue is persisted through a storage adapter, so entries survive app restarts
+* Entries are JSON-serializable objects with `nonce`, `operation` (the Client method, e.g. "createMessage"), `method`, `url`, `auth`, `body`, `attempts` and `createdAt` properties
+* Requests failing without a response from the API (e.g. a connection reset after the request was sent) are replayed, so message sends carry the nonce of their entry with `enforce_nonce` set, and a replayed send returns the message created by the first attempt instead of posting it twice
+* @prop {Boolean} online Whether the device is online, as reported through setOnline(). Requests are sent right away while it is, except after a network error, until the retry interval passes, a shard connects or setOnline(true) is called
+* @prop {Array<Object>} queue The entries waiting to be sent, oldest first
+* @prop {Promise} ready Resolves once the persisted queue has been restored
+* @prop {Number} retryInterval How long in milliseconds to wait before retrying after a network error, unless setOnline() is called first
+* @prop {Object} storage The storage backend the queue is persisted in
+*/
+class Outbox {
+    /**
+    * Create an Outbox
+    * @arg {Client} client The client
+    * @arg {Object} [options] Outbox options
+    * @arg {Number} [options.retryInterval=30000] How long in milliseconds to wait before retrying after a network error
+    * @arg {Object} [options.storage] The storage backend. Any object with Map-like `get(key)` and `set(key, value)` methods, which may return promises (e.g. an adapter around AsyncStorage). The queue is stored as an array of plain objects. Defaults to an in-memory Map, which does not survive restarts
+    */
+    constructor(client, options = {}) {
+        this._client = client;
+        this.online = true;
+        this.queue = [];
+        this._reachable = true;
+        this.retryInterval = options.retryInterval || 30000;
+        this.storage = options.storage || new Map();
+        this._flushing = false;
+        this._pending = {};
+        this._retryTimeout = null;
+        this.ready = Promise.resolve(this.storage.get(STORAGE_KEY)).then((queue) => {
+            if(Array.isArray(queue) && queue.length > 0) {
+                this.queue = queue.concat(this.queue);
+                return this.flush();
+            }
+        }).catch((err) => this._emitError(err));
+
+        this._client.on("connect", () => this._retry());
+    }
+
+    /**
+    * Remove an entry from the queue without sending it. Its promise (if it was queued in this session) rejects
+    * @arg {String} nonce The nonce of the entry
+    * @returns {Promise<Boolean>} Resolves with whether the entry was found
+    */
+    cancel(nonce) {
+        return this._remove(nonce, new Error(`Outbox entry ${nonce} was cancelled`));
+    }
+
+    /**
+    * Send the queued entries in order, stopping at the first network error
+    * @returns {Promise}
+    */
+    async flush() {
+        if(this._flushing || !this.online || !this._reachable) {
+            return;
+        }
+        this._flushing = true;
+        if(this._retryTimeout) {
+            clearTimeout(this._retryTimeout);
+            this._retryTimeout = null;
+        }
+        try {
+            while(this.online && this._reachable && this.queue.length > 0) {
+                const entry = this.queue[0];
+                entry.attempts++;
+                let response;
+                try {
+                    response = await this._send(entry);
+                } catch(err) {
+                    if(this._isNetworkError(err)) {
+                        this._goOffline();
+                        await this._persist();
+                        return;
+                    }
+                    this.queue.shift();
+                    await this._persist();
+                    if(err instanceof AbortError) {
+                        this._settle(entry, err);
+                        continue;
+                    }
+                    /**
+                    * Fired when a queued outbox entry is rejected by the API. It is removed from the queue
+                    * @event Client#outboxFailed
+                    * @prop {Object} entry The outbox entry
+                    * @prop {Error} error The error
+                    */
+                    this._client.emit("outboxFailed", entry, err);
+                    this._settle(entry, err);
+                    continue;
+                }
+                this.queue.shift();
+                await this._persist();
+                /**
+                * Fired when a queued outbox entry is sent
+                * @event Client#outboxSent
+                * @prop {Object} entry The outbox entry
+                * @prop {Object} response The raw API response
+                */
+                this._client.emit("outboxSent", entry, response);
+                this._settle(entry, null, response);
+            }
+        } finally {
+            this._flushing = false;
+        }
+    }
+
+    /**
+    * Send a request through the outbox. It is sent right away if the device is online and nothing is queued, and queued otherwise or if it fails with a network error
+    * @arg {String} operation The name of the Client method making the request
+    * @arg {String} method Uppercase HTTP method
+    * @arg {String} url URL of the endpoint
+    * @arg {Boolean} auth Whether to add the Authorization header and token or not
+    * @arg {Object} [body] Request payload
+    * @arg {String} [nonce] The nonce of the entry. Generated if not specified
+    * @arg {Object} [options] Request options, see RequestHandler#request(). They are not persisted, so entries restored after a restart are sent without them
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the request. Queued entries are removed from the queue. Either way the request rejects with an AbortError
+    * @returns {Promise<Object>} Resolves with the raw API response once the request is sent, which may be after the device comes back online
+    */
+    async request(operation, method, url, auth, body, nonce, options = {}) {
+        const entry = {
+            attempts: 0,
+            auth: auth,
+            body: body,
+            createdAt: Date.now(),
+            method: method,
+            nonce: nonce || generateNonce(),
+            operation: operation,
+            url: url
+        };
+        if(body && NONCE_OPERATIONS.includes(operation)) {
+            body.nonce = entry.nonce;
+            body.enforce_nonce = true;
+        }
+        await this.ready;
+        if(options.signal && options.signal.aborted) {
+            throw new AbortError(method, url);
+        }
+        if(this.online && this._reachable && this.queue.length === 0) {
+            entry.attempts++;
+            try {
+                return await this._send(entry, options);
+            } catch(err) {
+                if(!this._isNetworkError(err)) {
+                    throw err;
+                }
+                this._goOffline();
+            }
+        }
+        return new Promise((resolve, reject) => {
+            this._pending[entry.nonce] = {options, reject, resolve};
+            if(options.signal) {
+                const onAbort = () => this._remove(entry.nonce, new AbortError(method, url)).catch((err) => this._emitError(err));
+                options.signal.addEventListener("abort", onAbort);
+                this._pending[entry.nonce].onAbort = onAbort;
+            }
+            this.queue.push(entry);
+            /**
+            * Fired when a request is queued in the outbox because the device is offline
+            * @event Client#outboxQueued
+            * @prop {Object} entry The outbox entry
+            */
+            this._client.emit("outboxQueued", entry);
+            this._persist().then(() => this.flush()).catch((err) => this._emitError(err));
+        });
+    }
+
+    /**
+    * Set whether the device is online, e.g. from a connectivity listener. Going online sends the queued entries
+    * @arg {Boolean} online Whether the device is online
+    * @returns {Promise} Resolves once the queue is flushed, if going online
+    */
+    setOnline(online) {
+        this.online = !!online;
+        if(!this.online) {
+            return Promise.resolve();
+        }
+        this._reachable = true;
+        return this.flush();
+    }
+
+    _emitError(err) {
+        // Storage and flush failures have no caller to reject, and an "error" event without listeners would throw
+        if(this._client.listeners("error").length > 0) {
+            this._client.emit("error", err);
+        } else {
+            this._client.emit("warn", err);
+        }
+    }
+
+    _goOffline() {
+        this._reachable = false;
+        if(!this._retryTimeout) {
+            this._retryTimeout = setTimeout(() => {
+                this._retryTimeout = null;
+                this._retry();
+            }, this.retryInterval);
+        }
+    }
+
+    _isNetworkError(err) {
+        if(err instanceof AbortError || err instanceof HelseliaHTTPError || err instanceof HelseliaRESTError) {
+            return false;
+        }
+        // Errors without a known code (e.g. "Request aborted by server") also leave it unknown whether the API got the request
+        return this._client.requestHandler.retryPolicy.errorCodes.includes(err.code) || !!err.req;
+    }
+
+    _persist() {
+        return Promise.resolve(this.storage.set(STORAGE_KEY, this.queue.slice()));
+    }
+
+    async _remove(nonce, err) {
+        const index = this.queue.findIndex((entry) => entry.nonce === nonce);
+        if(index === -1 || (index === 0 && this._flushing)) {
+            return false;
+        }
+        const [entry] = this.queue.splice(index, 1);
+        await this._persist();
+        this._settle(entry, err);
+        return true;
+    }
+
+    _retry() {
+        this._reachable = true;
+        this.flush().catch((err) => this._emitError(err));
+    }
+
+    _send(entry, options) {
+        const pending = this._pending[entry.nonce];
+        return this._client.requestHandler.request(entry.method, entry.url, entry.auth, entry.body, undefined, undefined, false, options || (pending && pending.options));
+    }
+
+    _settle(entry, err, response) {
+        const pending = this._pending[entry.nonce];
+        if(!pending) {
+            return;
+        }
+        delete this._pending[entry.nonce];
+        if(pending.onAbort) {
+            pending.options.signal.removeEventListener("abort", pending.onAbort);
+        }
+        if(err) {
+            pending.reject(err);
+        } else {
+            pending.resolve(response);
+        }
+    }
+}
+
+module.exports = Outbox;
@@ -0,0 +1,107 @@
+"use strict";
+
+const MemoryRatelimitStore = require("./MemoryRatelimitStore");
+
+/**
+* Shares one ratelimit store between several processes using the same token. Run it in one process (e.g. a cluster primary) and point an IPCRatelimitStore in every worker at it. Requires the Node.js `net` module
+* Messages are newline-delimited JSON objects: workers send `{op, key, state, id}` and the coordinator answers acquire requests with `{id}` once the bucket is acquired, or `{id, error}` if the store failed to acquire it. Buckets held by a worker are released if it disconnects
+* @prop {Object} options The options used to listen, passed to `net.Server#listen()` (e.g. `{path}` for a local socket or `{port, host}`)
+* @prop {Object} store The ratelimit store shared by the workers
+*/
+class RatelimitCoordinator {
+    /**
+    * Create a RatelimitCoordinator
+    * @arg {Object} options The options used to listen, passed to `net.Server#listen()`
+    * @arg {String} [options.host] The host to listen on
+    * @arg {String} [options.path] The path of the local socket (UNIX domain socket or Windows named pipe) to listen on
+    * @arg {Number} [options.port] The port to listen on
+    * @arg {Object} [options.store] The ratelimit store to share. Defaults to a MemoryRatelimitStore
+    */
+    constructor(options) {
+        this.options = Object.assign({}, options);
+        this.store = this.options.store || new MemoryRatelimitStore();
+        delete this.options.store;
+        this._server = null;
+    }
+
+    /**
+    * Stop accepting workers
+    * @returns {Promise}
+    */
+    close() {
+        if(!this._server) {
+            return Promise.resolve();
+        }
+        const server = this._server;
+        this._server = null;
+        return new Promise((resolve) => server.close(() => resolve()));
+    }
+
+    /**
+    * Start accepting workers
+    * @returns {Promise}
+    */
+    listen() {
+        const Net = require("net");
+        this._server = Net.createServer((socket) => this._handleSocket(socket));
+        return new Promise((resolve, reject) => {
+            this._server.once("error", reject);
+            this._server.listen(this.options, () => {
+                this._server.removeListener("error", reject);
+                resolve();
+            });
+        });
+    }
+
+    _handleMessage(socket, held, message) {
+        if(message.op === "acquire") {
+            Promise.resolve(this.store.acquire(message.key)).then(() => {
+                if(socket.destroyed) {
+                    return this.store.release(message.key);
+                }
+                held[message.key] = (held[message.key] || 0) + 1;
+                socket.write(JSON.stringify({id: message.id}) + "\n");
+            }).catch((err) => {
+                if(!socket.destroyed) {
+                    socket.write(JSON.stringify({error: err.message, id: message.id}) + "\n");
+                }
+            });
+        } else if(message.op === "release") {
+            if(held[message.key] > 0) {
+                --held[message.key];
+                this.store.release(message.key);
+            }
+        } else if(message.op === "update") {
+            this.store.update(message.key, message.state);
+        }
+    }
+
+    _handleSocket(socket) {
+        const held = {};
+        let buffer = "";
+        socket.setEncoding("utf8");
+        socket.on("data", (data) => {
+            buffer += data;
+            let index;
+            while((index = buffer.indexOf("\n")) !== -1) {
+                const line = buffer.substring(0, index);
+                buffer = buffer.substring(index + 1);
+                let message;
+                try {
+                    message = JSON.parse(line);
+                } catch(err) {
+                    continue;
+                }
+                this._handleMessage(socket, held, message);
+            }
+        }).on("error", () => socket.destroy()).on("close", () => {
+            for(const key in held) {
+                for(let i = 0; i < held[key]; ++i) {
+                    this.store.release(key);
+                }
+            }
+        });
+    }
+}
+
+module.exports = RatelimitCoordinator;
@@ -1,16 +1,65 @@
 "use strict";
 
+const AbortError = require("../errors/AbortError");
 const Base = require("../structures/Base");
+const CannotMessageUser = require("../errors/CannotMessageUser");
 const HelseliaHTTPError = require("../errors/HelseliaHTTPError");
 const HelseliaRESTError = require("../errors/HelseliaRESTError");
 const Endpoints = require("./Endpoints");
-const HTTPS = require("@kierajs/react-native-http");
+const InvalidFormBody = require("../errors/InvalidFormBody");
+const {JSONErrorCodes} = require("../Constants");
+const MissingAccess = require("../errors/MissingAccess");
+const MissingPermissions = require("../errors/MissingPermissions");
 const MultipartData = require("../util/MultipartData");
+const ResponseCache = require("./ResponseCache");
 const SequentialBucket = require("../util/SequentialBucket");
-const Zlib = require("browserify-zlib");
+const UnknownChannel = require("../errors/UnknownChannel");
+const UnknownClub = require("../errors/UnknownClub");
+const UnknownMember = require("../errors/UnknownMember");
+const UnknownMessage = require("../errors/UnknownMessage");
+const UnknownRole = require("../errors/UnknownRole");
+const UnknownUser = require("../errors/UnknownUser");
+
+const MAJOR_PARAMETER = /\/(channels|clubs|webhooks)\/\d+/;
+
+const REST_ERRORS = {
+    [JSONErrorCodes.CANNOT_MESSAGE_USER]: CannotMessageUser,
+    [JSONErrorCodes.INVALID_FORM_BODY]: InvalidFormBody,
+    [JSONErrorCodes.MISSING_ACCESS]: MissingAccess,
+    [JSONErrorCodes.MISSING_PERMISSIONS]: MissingPermissions,
+    [JSONErrorCodes.UNKNOWN_CHANNEL]: UnknownChannel,
+    [JSONErrorCodes.UNKNOWN_CLUB]: UnknownClub,
+    [JSONErrorCodes.UNKNOWN_MEMBER]: UnknownMember,
+    [JSONErrorCodes.UNKNOWN_MESSAGE]: UnknownMessage,
+    [JSONErrorCodes.UNKNOWN_ROLE]: UnknownRole,
+    [JSONErrorCodes.UNKNOWN_USER]: UnknownUser
+};
+
+function encodeQuery(body) {
+    let qs = "";
+    Object.keys(body).forEach(function(key) {
+        if(body[key] != undefined) {
+            if(Array.isArray(body[key])) {
+                body[key].forEach(function(val) {
+                    qs += `&${encodeURIComponent(key)}=${encodeURIComponent(val)}`;
+                });
+            } else {
+                qs += `&${encodeURIComponent(key)}=${encodeURIComponent(body[key])}`;
+            }
+        }
+    });
+    return qs.substring(1);
+}
 
 /**
 * Handles API requests
+* @prop {Object} inflight Object mapping request keys to the promises of GET requests in progress, which identical GET requests share
+* @prop {Array<Object>} interceptors The interceptors run around every request, in order. See addInterceptor()
+* @prop {ResponseCache?} cache The cache of GET responses, if the `restCache` Client option is enabled
+* @prop {Object} bucketHashes Object mapping ratelimiting routes (with their major parameter stripped) to the bucket hashes Helselia reported for them. Routes without a known hash are ratelimited by their route alone
+* @prop {Object} ratelimits Object mapping bucket keys to SequentialBuckets
+* @prop {Object?} ratelimitStore The store requests acquire their bucket from before being sent, shared between processes. Null unless the `ratelimitStore` Client option is set, in which case SequentialBuckets alone ratelimit requests
+* @prop {Object} retryPolicy The policy used to retry failed requests, see the `retryPolicy` Client option
 */
 class RequestHandler {
     constructor(client, forceQueueing) {
@@ -18,6 +67,7 @@ class RequestHandler {
         this.baseURL = Endpoints.BASE_URL;
         this.userAgent = `HelseliaBot (https://github.com/kierajs/kiera.js, ${require("../../package.json").version})`;
         this.ratelimits = {};
+        this.bucketHashes = {};
         this.requestTimeout = client.options.requestTimeout;
         this.agent = client.options.agent;
         this.latencyRef = {
@@ -30,12 +80,40 @@ class RequestHandler {
         };
         this.globalBlock = false;
         this.readyQueue = [];
+        this.inflight = {};
+        this.interceptors = [];
+        this._inflightJoins = {};
+        this.retryPolicy = Object.assign({
+            baseDelay: 250,
+            errorCodes: ["ECONNREFUSED", "ECONNRESET", "ENETWORK", "EPIPE", "ETIMEDOUT", "EAI_AGAIN"],
+            idempotentMethods: ["GET", "HEAD", "PUT", "DELETE", "OPTIONS"],
+            jitter: true,
+            maxAttempts: 4,
+            maxDelay: 10000,
+            retryNonIdempotent: [502],
+            statusCodes: [500, 502, 503, 504]
+        }, client.options.retryPolicy);
+        this.transport = this._createTransport(client.options.restTransport);
+        this.ratelimitStore = client.options.ratelimitStore || null;
+        this.cache = client.options.restCache ? new ResponseCache(client.options.restCache === true ? {} : client.options.restCache) : null;
         if(forceQueueing) {
             this.globalBlock = true;
             this._client.once("shardPreReady", () => this.globalUnblock());
         }
     }
 
+    /**
+    * Add an interceptor to the end of the request pipeline. Interceptor hooks may be async and receive a context object with the `method`, `url`, `route`, `auth`, `body`, `file`, `short`, `headers` (extra request headers) and `options` of the request, which is shared between both hooks of the same request
+    * @arg {Object} interceptor The interceptor
+    * @arg {Function} [interceptor.request] Called with the context before the request is queued. It may modify the context or return a replacement for it. Setting `context.response` skips the network request (and the remaining request hooks) and uses that value as the response
+    * @arg {Function} [interceptor.response] Called with the context after a successful response, with the parsed response in `context.response`. It may modify the context or return a replacement for the response
+    * @returns {Object} The interceptor, to be passed to removeInterceptor()
+    */
+    addInterceptor(interceptor) {
+        this.interceptors.push(interceptor);
+        return interceptor;
+    }
+
     globalUnblock() {
         this.globalBlock = false;
         while(this.readyQueue.length > 0) {
@@ -43,6 +121,20 @@ class RequestHandler {
         }
     }
 
+    /**
+    * Remove an interceptor from the request pipeline
+    * @arg {Object} interceptor The interceptor
+    * @returns {Boolean} Whether the interceptor was found
+    */
+    removeInterceptor(interceptor) {
+        const index = this.interceptors.indexOf(interceptor);
+        if(index === -1) {
+            return false;
+        }
+        this.interceptors.splice(index, 1);
+        return true;
+    }
+
     /**
     * Make an API request
     * @arg {String} method Uppercase HTTP method
@@ -50,12 +142,33 @@ class RequestHandler {
     * @arg {Boolean} [auth] Whether to add the Authorization header and token or not
     * @arg {Object} [body] Request payload
     * @arg {Object} [file] File object
-    * @arg {Buffer} file.file A buffer containing file data
+    * @arg {ArrayBuffer | AsyncIterable | Blob | Buffer | Object | ReadableStream | Uint8Array} file.file The file data. Objects with an `uri` property are treated as React Native file descriptors. Streams and async iterables can only be read once, so requests uploading them reject instead of being retried or sent again after a 429
+    * @arg {String} [file.contentType] The Content-Type of the file. Inferred from the file name if not specified
     * @arg {String} file.name What to name the file
-    * @returns {Promise<Object>} Resolves with the returned JSON data
+    * @arg {String} [_route] The ratelimiting route, calculated from the URL if omitted
+    * @arg {Boolean} [short] Whether to prioritize the request in its ratelimiting queue
+    * @arg {Object} [options] Additional request options
+    * @arg {Boolean} [options.cache=true] Whether to serve the request from the response cache (if enabled) or share it with identical concurrent GET requests. The response is cached either way
+    * @arg {Object} [options.headers] Extra headers to send with the request
+    * @arg {Function} [options.onUploadProgress] Called with `(loaded, total)` while a file upload is sent. `total` is null if the size of the upload is unknown
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the request. Queued requests are dropped from their ratelimiting queue, in-flight requests are aborted. Either way the request rejects with an AbortError. GET requests with a signal are not shared with identical concurrent requests
+    * @returns {Promise<Object>} Resolves with the returned JSON data. Identical concurrent GET requests share a single network request and each resolve with their own copy of the data
     */
-    request(method, url, auth, body, file, _route, short) {
+    request(method, url, auth, body, file, _route, short, options = {}) {
+        if(this.interceptors.length > 0 && !options._intercepted) {
+            return this._intercept(method, url, auth, body, file, _route, short, options);
+        }
+        if(method === "GET" && !file && !options.signal && options.cache !== false && !options._coalesced) {
+            return this._coalesce(method, url, auth, body, file, _route, short, options);
+        }
+        if(this.cache && method === "GET" && !file && !options._cached && this.cache.ttl(url) !== null) {
+            return this._cachedRequest(method, url, auth, body, file, _route, short, options);
+        }
         const route = _route || this.routefy(url, method);
+        const signal = options.signal;
+        if(signal && signal.aborted) {
+            return Promise.reject(new AbortError(method, url));
+        }
 
         let _stackHolder = {}; // Preserve async stack
         if(!!Error.captureStackTrace) {
@@ -63,13 +176,50 @@ class RequestHandler {
 				} else {
 					_stackHolder.stack = new Error().stack;
 				}
-        return new Promise((resolve, reject) => {
+        return new Promise((_resolve, _reject) => {
             let attempts = 0;
+            let auditLogReason;
+            let bucket;
+            let oneShot = false; // Whether the body has streams which were read by the first attempt
+            let readyFunc = null;
+            let retryTimeout = null;
+            let storeKey = null; // The bucket key acquired from the ratelimit store, which the bucket may be re-keyed from while the request is sent
+
+            const onAbort = () => {
+                if(readyFunc && this.readyQueue.includes(readyFunc)) {
+                    this.readyQueue.splice(this.readyQueue.indexOf(readyFunc), 1);
+                } else if(retryTimeout) {
+                    clearTimeout(retryTimeout);
+                } else if(!bucket || !bucket.dequeue(actualCall)) { // The request running in the bucket, if any, checks the queue once done
+                    return; // In-flight, the transport rejects once it notices the signal
+                }
+                reject(new AbortError(method, url));
+            };
+            const resolve = (value) => {
+                if(signal) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+                _resolve(value);
+            };
+            const reject = (err) => {
+                if(signal) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+                _reject(err);
+            };
+            if(signal) {
+                signal.addEventListener("abort", onAbort);
+            }
 
-            const actualCall = (cb) => {
+            const sendCall = (cb) => {
+                readyFunc = retryTimeout = null;
+                if(signal && signal.aborted) {
+                    cb();
+                    reject(new AbortError(method, url));
+                    return;
+                }
                 const headers = {
                     "User-Agent": this.userAgent,
-                    "Accept-Encoding": "gzip,deflate",
                     "X-RateLimit-Precision": "millisecond"
                 };
                 let data;
@@ -80,11 +230,17 @@ class RequestHandler {
                         headers.Authorization = this._client.token;
                     }
                     if(body && body.reason) { // Audit log reason sniping
-                        headers["X-Audit-Log-Reason"] = body.reason;
+                        auditLogReason = body.reason;
                         if(method !== "POST" || !url.includes("/prune")) {
                             delete body.reason;
                         }
                     }
+                    if(auditLogReason) { // Kept around for retries, which no longer have it in the body
+                        headers["X-Audit-Log-Reason"] = auditLogReason;
+                    }
+                    if(options.headers) {
+                        Object.assign(headers, options.headers);
+                    }
                     if(file) {
                         if(Array.isArray(file)) {
                             data = new MultipartData();
@@ -93,38 +249,27 @@ class RequestHandler {
                                 if(!f.file) {
                                     return;
                                 }
-                                data.attach(f.name, f.file, f.name);
+                                data.attach(f.name, f.file, f.name, f.contentType);
                             });
                             if(body) {
                                 data.attach("payload_json", body);
                             }
-                            data = data.finish();
+                            data.finish();
                         } else if(file.file) {
                             data = new MultipartData();
                             headers["Content-Type"] = "multipart/form-data; boundary=" + data.boundary;
-                            data.attach("file", file.file, file.name);
+                            data.attach("file", file.file, file.name, file.contentType);
                             if(body) {
                                 data.attach("payload_json", body);
                             }
-                            data = data.finish();
+                            data.finish();
                         } else {
                             throw new Error("Invalid file object");
                         }
+                        oneShot = data.hasStreams;
                     } else if(body) {
                         if(method === "GET" || method === "DELETE") {
-                            let qs = "";
-                            Object.keys(body).forEach(function(key) {
-                                if(body[key] != undefined) {
-                                    if(Array.isArray(body[key])) {
-                                        body[key].forEach(function(val) {
-                                            qs += `&${encodeURIComponent(key)}=${encodeURIComponent(val)}`;
-                                        });
-                                    } else {
-                                        qs += `&${encodeURIComponent(key)}=${encodeURIComponent(body[key])}`;
-                                    }
-                                }
-                            });
-                            finalURL += "?" + qs.substring(1);
+                            finalURL += "?" + encodeQuery(body);
                         } else {
                             data = JSON.stringify(body);
                             headers["Content-Type"] = "application/json";
@@ -136,29 +281,31 @@ class RequestHandler {
                     return;
                 }
 
-                const req = HTTPS.request({
+                let latency = Date.now();
+
+                this.transport.request({
                     method: method,
-                    host: Endpoints.CLIENT_URL.replace("https://", ""),
                     path: this.baseURL + finalURL,
                     headers: headers,
-                    agent: this.agent
-                });
-
-                let reqError;
-
-                req.once("abort", () => {
-                    cb();
-                    reqError = reqError || new Error(`Request aborted by client on ${method} ${url}`);
-                    reqError.req = req;
-                    reject(reqError);
-                }).once("error", (err) => {
-                    reqError = err;
-                    req.abort();
-                });
-
-                let latency = Date.now();
-
-                req.once("response", (resp) => {
+                    body: data,
+                    onProgress: data instanceof MultipartData ? (loaded, total) => {
+                        /**
+                        * Fired while a file upload is being sent
+                        * @event Client#uploadProgress
+                        * @prop {Object} progress The upload progress
+                        * @prop {Number} progress.loaded The number of bytes sent
+                        * @prop {String} progress.method Uppercase HTTP method
+                        * @prop {String} progress.route The ratelimiting route of the request
+                        * @prop {Number?} progress.total The total number of bytes, or null if unknown
+                        * @prop {String} progress.url URL of the endpoint
+                        */
+                        this._client.emit("uploadProgress", {loaded, method, route, total, url});
+                        if(options.onUploadProgress) {
+                            options.onUploadProgress(loaded, total);
+                        }
+                    } : undefined,
+                    signal: signal
+                }).then(({req, res: resp, body: response}) => {
                     if(this._client.listeners("rawREST").length) {
                         /**
                          * Fired when the Client's RequestHandler receives a response
@@ -170,7 +317,7 @@ class RequestHandler {
                          * @prop {Buffer} request.file.file A buffer containing file data
                          * @prop {String} request.file.name The name of the file
                          * @prop {String} request.method Uppercase HTTP method
-                         * @prop {IncomingMessage} request.resp The HTTP response to the request
+                         * @prop {IncomingMessage | Object} request.resp The HTTP response to the request, as returned by the REST transport
                          * @prop {String} request.route The calculated ratelimiting route for the request
                          * @prop {Boolean} request.short Whether or not the request was prioritized in its ratelimiting queue
                          * @prop {String} request.url URL of the endpoint
@@ -191,171 +338,229 @@ class RequestHandler {
                         this.latencyRef.timeOffsets.push(timeOffset);
                     }
 
-                    resp.once("aborted", () => {
-                        cb();
-                        reqError = reqError || new Error(`Request aborted by server on ${method} ${url}`);
-                        reqError.req = req;
-                        reject(reqError);
-                    });
-
-                    let response = "";
-
-                    let _respStream = resp;
-                    if(resp.headers["content-encoding"]) {
-                        if(resp.headers["content-encoding"].includes("gzip")) {
-                            _respStream = resp.pipe(Zlib.createGunzip());
-                        } else if(resp.headers["content-encoding"].includes("deflate")) {
-                            _respStream = resp.pipe(Zlib.createInflate());
-                        }
-                    }
+                    const now = Date.now();
 
-                    _respStream.on("data", (str) => {
-                        response += str;
-                    }).on("error", (err) => {
-                        reqError = err;
-                        req.destroy();
-                    }).once("end", () => {
-                        const now = Date.now();
+                    const bucketHash = resp.headers["x-ratelimit-bucket"];
+                    if(bucketHash && (this.bucketHashes[this._bucketHashKey(route)] !== bucketHash || this.ratelimits[this._bucketKey(route)] !== bucket)) {
+                        bucket = this._assignBucketHash(route, bucketHash, bucket);
+                    }
 
-                        if(resp.headers["x-ratelimit-limit"]) {
-                            this.ratelimits[route].limit = +resp.headers["x-ratelimit-limit"];
-                        }
+                    if(resp.headers["x-ratelimit-limit"]) {
+                        bucket.limit = +resp.headers["x-ratelimit-limit"];
+                    }
 
-                        if(method !== "GET" && (resp.headers["x-ratelimit-remaining"] == undefined || resp.headers["x-ratelimit-limit"] == undefined) && this.ratelimits[route].limit !== 1) {
-                            this._client.emit("debug", `Missing ratelimit headers for SequentialBucket(${this.ratelimits[route].remaining}/${this.ratelimits[route].limit}) with non-default limit\n`
-                                + `${resp.statusCode} ${resp.headers["content-type"]}: ${method} ${route} | ${resp.headers["cf-ray"]}\n`
-                                + "content-type = " +  + "\n"
-                                + "x-ratelimit-remaining = " + resp.headers["x-ratelimit-remaining"] + "\n"
-                                + "x-ratelimit-limit = " + resp.headers["x-ratelimit-limit"] + "\n"
-                                + "x-ratelimit-reset = " + resp.headers["x-ratelimit-reset"] + "\n"
-                                + "x-ratelimit-global = " + resp.headers["x-ratelimit-global"]);
-                        }
+                    if(method !== "GET" && (resp.headers["x-ratelimit-remaining"] == undefined || resp.headers["x-ratelimit-limit"] == undefined) && bucket.limit !== 1) {
+                        this._client.emit("debug", `Missing ratelimit headers for SequentialBucket(${bucket.remaining}/${bucket.limit}) with non-default limit\n`
+                            + `${resp.statusCode} ${resp.headers["content-type"]}: ${method} ${route} | ${resp.headers["cf-ray"]}\n`
+                            + "content-type = " +  + "\n"
+                            + "x-ratelimit-remaining = " + resp.headers["x-ratelimit-remaining"] + "\n"
+                            + "x-ratelimit-limit = " + resp.headers["x-ratelimit-limit"] + "\n"
+                            + "x-ratelimit-reset = " + resp.headers["x-ratelimit-reset"] + "\n"
+                            + "x-ratelimit-global = " + resp.headers["x-ratelimit-global"]);
+                    }
 
-                        this.ratelimits[route].remaining = resp.headers["x-ratelimit-remaining"] === undefined ? 1 : +resp.headers["x-ratelimit-remaining"] || 0;
+                    bucket.remaining = resp.headers["x-ratelimit-remaining"] === undefined ? 1 : +resp.headers["x-ratelimit-remaining"] || 0;
 
-                        let retryAfter = parseInt(resp.headers["retry-after"]);
-                        // Helselia breaks RFC here, using milliseconds instead of seconds (╯°□°）╯︵ ┻━┻
-                        // This is the unofficial Helselia dev-recommended way of detecting that
-                        if(retryAfter && (typeof resp.headers["via"] !== "string" || !resp.headers["via"].includes("1.1 google"))) {
-                            retryAfter *= 1000;
-                            if(retryAfter >= 1000 * 1000) {
-                                this._client.emit("warn", `Excessive Retry-After interval detected (Retry-After: ${resp.headers["retry-after"]} * 1000, Via: ${resp.headers["via"]})`);
-                            }
+                    let retryAfter = parseInt(resp.headers["retry-after"]);
+                    // Helselia breaks RFC here, using milliseconds instead of seconds (╯°□°）╯︵ ┻━┻
+                    // This is the unofficial Helselia dev-recommended way of detecting that
+                    if(retryAfter && (typeof resp.headers["via"] !== "string" || !resp.headers["via"].includes("1.1 google"))) {
+                        retryAfter *= 1000;
+                        if(retryAfter >= 1000 * 1000) {
+                            this._client.emit("warn", `Excessive Retry-After interval detected (Retry-After: ${resp.headers["retry-after"]} * 1000, Via: ${resp.headers["via"]})`);
                         }
-                        if(retryAfter >= 0) {
-                            if(resp.headers["x-ratelimit-global"]) {
-                                this.globalBlock = true;
-                                setTimeout(() => this.globalUnblock(), retryAfter || 1);
-                            } else {
-                                this.ratelimits[route].reset = (retryAfter || 1) + now;
-                            }
-                        } else if(resp.headers["x-ratelimit-reset"]) {
-                            if((~route.lastIndexOf("/reactions/:id")) && (+resp.headers["x-ratelimit-reset"] * 1000 - headerNow) === 1000) {
-                                this.ratelimits[route].reset = now + 250;
-                            } else {
-                                this.ratelimits[route].reset = Math.max(+resp.headers["x-ratelimit-reset"] * 1000 - this.latencyRef.timeOffset, now);
-                            }
+                    }
+                    if(retryAfter >= 0) {
+                        if(resp.headers["x-ratelimit-global"]) {
+                            this.globalBlock = true;
+                            setTimeout(() => this.globalUnblock(), retryAfter || 1);
                         } else {
-                            this.ratelimits[route].reset = now;
+                            bucket.reset = (retryAfter || 1) + now;
                         }
-
-                        if(resp.statusCode !== 429) {
-                            this._client.emit("debug", `${body && body.content} ${now} ${route} ${resp.statusCode}: ${latency}ms (${this.latencyRef.latency}ms avg) | ${this.ratelimits[route].remaining}/${this.ratelimits[route].limit} left | Reset ${this.ratelimits[route].reset} (${this.ratelimits[route].reset - now}ms left)`);
+                    } else if(resp.headers["x-ratelimit-reset"]) {
+                        if((~route.lastIndexOf("/reactions/:id")) && (+resp.headers["x-ratelimit-reset"] * 1000 - headerNow) === 1000) {
+                            bucket.reset = now + 250;
+                        } else {
+                            bucket.reset = Math.max(+resp.headers["x-ratelimit-reset"] * 1000 - this.latencyRef.timeOffset, now);
                         }
+                    } else {
+                        bucket.reset = now;
+                    }
 
-                        if(resp.statusCode >= 300) {
-                            if(resp.statusCode === 429) {
-                                this._client.emit("debug", `${resp.headers["x-ratelimit-global"] ? "Global" : "Unexpected"} 429 (╯°□°）╯︵ ┻━┻: ${response}\n${body && body.content} ${now} ${route} ${resp.statusCode}: ${latency}ms (${this.latencyRef.latency}ms avg) | ${this.ratelimits[route].remaining}/${this.ratelimits[route].limit} left | Reset ${this.ratelimits[route].reset} (${this.ratelimits[route].reset - now}ms left)`);
-                                if(retryAfter) {
-                                    setTimeout(() => {
-                                        cb();
-                                        this.request(method, url, auth, body, file, route, true).then(resolve).catch(reject);
-                                    }, retryAfter);
-                                    return;
-                                } else {
-                                    cb();
-                                    this.request(method, url, auth, body, file, route, true).then(resolve).catch(reject);
-                                    return;
-                                }
-                            } else if(resp.statusCode === 502 && ++attempts < 4) {
-                                this._client.emit("debug", "A wild 502 appeared! Thanks CloudFlare!");
-                                setTimeout(() => {
-                                    this.request(method, url, auth, body, file, route, true).then(resolve).catch(reject);
-                                }, Math.floor(Math.random() * 1900 + 100));
-                                return cb();
-                            }
-                            cb();
+                    const globalRatelimit = !!resp.headers["x-ratelimit-global"];
+                    if(storeKey) {
+                        Promise.resolve().then(() => this.ratelimitStore.update(storeKey, globalRatelimit ? {
+                            global: true,
+                            reset: now + (retryAfter || 1)
+                        } : {
+                            limit: bucket.limit,
+                            remaining: bucket.remaining,
+                            reset: bucket.reset + this.latencyRef.latency + this.latencyRef.offset // Same margin as SequentialBucket
+                        })).catch((err) => this._client.emit("error", err));
+                    }
+                    if(resp.statusCode === 429 || globalRatelimit || bucket.remaining === 0) {
+                        const reset = globalRatelimit ? now + (retryAfter || 1) : bucket.reset;
+                        /**
+                        * Fired when a request is ratelimited, or leaves its bucket without tokens so that the next request in it has to wait
+                        * @event Client#rateLimit
+                        * @prop {Object} info The ratelimit info
+                        * @prop {String} info.bucket The key of the bucket in RequestHandler.ratelimits
+                        * @prop {Boolean} info.global Whether the global ratelimit was hit
+                        * @prop {Number} info.limit How many requests the bucket allows per interval
+                        * @prop {String} info.method Uppercase HTTP method of the request
+                        * @prop {Number} info.queueLength How many requests are waiting in the bucket (or for the global ratelimit to end)
+                        * @prop {Number} info.remaining How many requests the bucket has left in the current interval
+                        * @prop {Number} info.reset Timestamp at which requests can be made again
+                        * @prop {String} info.route The ratelimiting route of the request
+                        * @prop {Number} info.statusCode The HTTP status code of the response (429 if the request was ratelimited)
+                        * @prop {Number} info.timeout How long in milliseconds until requests can be made again
+                        * @prop {String} info.url URL of the endpoint
+                        */
+                        this._client.emit("rateLimit", {
+                            bucket: this._bucketKey(route),
+                            global: globalRatelimit,
+                            limit: bucket.limit,
+                            method: method,
+                            queueLength: globalRatelimit ? this.readyQueue.length : bucket.queueLength,
+                            remaining: bucket.remaining,
+                            reset: reset,
+                            route: route,
+                            statusCode: resp.statusCode,
+                            timeout: Math.max(reset - now, 0),
+                            url: url
+                        });
+                    }
 
-                            if(response.length > 0) {
-                                if(resp.headers["content-type"] === "application/json") {
-                                    try {
-                                        response = JSON.parse(response);
-                                    } catch(err) {
-                                        reject(err);
-                                        return;
-                                    }
-                                }
-                            }
+                    if(resp.statusCode !== 429) {
+                        this._client.emit("debug", `${body && body.content} ${now} ${route} ${resp.statusCode}: ${latency}ms (${this.latencyRef.latency}ms avg) | ${bucket.remaining}/${bucket.limit} left | Reset ${bucket.reset} (${bucket.reset - now}ms left)`);
+                    }
 
-                            let {stack} = _stackHolder;
-                            if(stack.startsWith("Error\n")) {
-                                stack = stack.substring(6);
-                            }
-                            let err;
-                            if(response.code) {
-                                err = new HelseliaRESTError(req, resp, response, stack);
+                    if(resp.statusCode >= 300 && resp.statusCode !== 304) { // 304s answer revalidations of cached responses
+                        if(resp.statusCode === 429 && !oneShot) {
+                            this._client.emit("debug", `${resp.headers["x-ratelimit-global"] ? "Global" : "Unexpected"} 429 (╯°□°）╯︵ ┻━┻: ${response}\n${body && body.content} ${now} ${route} ${resp.statusCode}: ${latency}ms (${this.latencyRef.latency}ms avg) | ${bucket.remaining}/${bucket.limit} left | Reset ${bucket.reset} (${bucket.reset - now}ms left)`);
+                            cb();
+                            // Queued again like a retry, so the wait can be aborted and the audit log reason is kept
+                            if(retryAfter) {
+                                retryTimeout = setTimeout(() => queueCall(true), retryAfter);
                             } else {
-                                err = new HelseliaHTTPError(req, resp, response, stack);
+                                queueCall(true);
                             }
-                            reject(err);
                             return;
+                        } else if(!oneShot && this._shouldRetry(method, ++attempts, resp.statusCode)) {
+                            if(resp.statusCode === 502) {
+                                this._client.emit("debug", "A wild 502 appeared! Thanks CloudFlare!");
+                            }
+                            retry(null, resp.statusCode);
+                            return cb();
                         }
+                        cb();
 
                         if(response.length > 0) {
                             if(resp.headers["content-type"] === "application/json") {
                                 try {
                                     response = JSON.parse(response);
                                 } catch(err) {
-                                    cb();
                                     reject(err);
                                     return;
                                 }
                             }
                         }
 
-                        cb();
-                        resolve(response);
-                    });
-                });
+                        let {stack} = _stackHolder;
+                        if(stack.startsWith("Error\n")) {
+                            stack = stack.substring(6);
+                        }
+                        let err;
+                        if(response.code) {
+                            err = new (REST_ERRORS[response.code] || HelseliaRESTError)(req, resp, response, stack);
+                        } else {
+                            err = new HelseliaHTTPError(req, resp, response, stack);
+                        }
+                        reject(err);
+                        return;
+                    }
 
-                // req.setTimeout(this.requestTimeout, () => {
-                  // reqError = new Error(`Request timed out (>${this.requestTimeout}ms) on ${method} ${url}`);
-                  //  req.abort();
-                // });
+                    if(options._onResponse) {
+                        options._onResponse(resp, response);
+                    }
 
-                if(Array.isArray(data)) {
-                    for(const chunk of data) {
-                        req.write(chunk);
+                    if(response.length > 0) {
+                        if(resp.headers["content-type"] === "application/json") {
+                            try {
+                                response = JSON.parse(response);
+                            } catch(err) {
+                                cb();
+                                reject(err);
+                                return;
+                            }
+                        }
                     }
-                    req.end();
-                } else {
-                    req.end(data);
-                }
-            };
 
-            if(this.globalBlock && auth) {
-                this.readyQueue.push(() => {
-                    if(!this.ratelimits[route]) {
-                        this.ratelimits[route] = new SequentialBucket(1, this.latencyRef);
+                    cb();
+                    resolve(response);
+                }, (err) => {
+                    cb();
+                    if(signal && signal.aborted) {
+                        reject(new AbortError(method, url));
+                        return;
+                    }
+                    if(!oneShot && this._shouldRetry(method, ++attempts, null, err)) {
+                        retry(err, null);
+                        return;
                     }
-                    this.ratelimits[route].queue(actualCall, short);
+                    reject(err);
                 });
-            } else {
-                if(!this.ratelimits[route]) {
-                    this.ratelimits[route] = new SequentialBucket(1, this.latencyRef);
+            };
+
+            const actualCall = (cb) => {
+                if(!this.ratelimitStore) {
+                    sendCall(cb);
+                    return;
                 }
-                this.ratelimits[route].queue(actualCall, short);
-            }
+                const key = storeKey = this._bucketKey(route);
+                Promise.resolve().then(() => this.ratelimitStore.acquire(key)).then(() => sendCall(() => {
+                    Promise.resolve().then(() => this.ratelimitStore.release(key)).catch((err) => this._client.emit("error", err));
+                    cb();
+                }), (err) => {
+                    this._client.emit("warn", `Failed to acquire ratelimit bucket ${key}, sending the request without it: ${err.message}`);
+                    storeKey = null;
+                    sendCall(cb);
+                });
+            };
+
+            const queueCall = (priority) => {
+                retryTimeout = null;
+                const func = () => {
+                    readyFunc = null;
+                    bucket = this._getBucket(route);
+                    bucket.queue(actualCall, priority);
+                };
+                if(this.globalBlock && auth) {
+                    this.readyQueue.push(readyFunc = func);
+                } else {
+                    func();
+                }
+            };
+
+            const retry = (error, statusCode) => {
+                const delay = this._retryDelay(attempts);
+                /**
+                * Fired when the Client's RequestHandler retries a failed request
+                * @event Client#requestRetry
+                * @prop {Object} request The data for the retry
+                * @prop {Number} request.attempt The number of attempts made so far
+                * @prop {Number} request.delay How long in milliseconds until the request is sent again
+                * @prop {Error?} request.error The network error that caused the retry, if any
+                * @prop {String} request.method Uppercase HTTP method
+                * @prop {String} request.route The calculated ratelimiting route for the request
+                * @prop {Number?} request.statusCode The HTTP status code that caused the retry, if any
+                * @prop {String} request.url URL of the endpoint
+                */
+                this._client.emit("requestRetry", {attempt: attempts, delay: delay, error: error, method: method, route: route, statusCode: statusCode, url: url});
+                retryTimeout = setTimeout(() => queueCall(true), delay);
+            };
+
+            queueCall(short);
         });
     }
 
@@ -369,6 +574,226 @@ class RequestHandler {
         return route;
     }
 
+    /**
+    * Get the state of the global ratelimit and every ratelimit bucket, e.g. for monitoring
+    * @returns {Object} An object with a `timestamp`, the `global` ratelimit state (`{blocked, queueLength}`) and an array of `buckets` (`{key, limit, processing, queueLength, remaining, reset}`). `remaining` is only refreshed when a bucket is used, so it is stale if `reset` has passed
+    */
+    snapshot() {
+        return {
+            buckets: Object.keys(this.ratelimits).map((key) => {
+                const bucket = this.ratelimits[key];
+                return {
+                    key: key,
+                    limit: bucket.limit,
+                    processing: !!bucket.processing,
+                    queueLength: bucket.queueLength,
+                    remaining: bucket.remaining,
+                    reset: bucket.reset
+                };
+            }),
+            global: {
+                blocked: this.globalBlock,
+                queueLength: this.readyQueue.length
+            },
+            timestamp: Date.now()
+        };
+    }
+
+    _assignBucketHash(route, hash, bucket) {
+        this.bucketHashes[this._bucketHashKey(route)] = hash;
+        const key = this._bucketKey(route);
+        if(this.ratelimits[route] === bucket) {
+            delete this.ratelimits[route];
+        }
+        if(!this.ratelimits[key]) {
+            this.ratelimits[key] = bucket;
+        }
+        this._client.emit("debug", `Mapped route ${route} to ratelimit bucket ${key}`);
+        return this.ratelimits[key];
+    }
+
+    _bucketHashKey(route) {
+        return route.replace(MAJOR_PARAMETER, "/$1/:major");
+    }
+
+    _bucketKey(route) {
+        // Buckets are shared per major parameter, so e.g. two channels never share one
+        const major = route.match(MAJOR_PARAMETER);
+        const hash = this.bucketHashes[this._bucketHashKey(route)];
+        if(!hash) {
+            return route;
+        }
+        return hash + (major ? ":" + major[0] : "");
+    }
+
+    async _cachedRequest(method, url, auth, body, file, _route, short, options) {
+        const key = this.cache.key(url, body ? encodeQuery(body) : "", auth);
+        const entry = options.cache === false ? null : await this.cache.get(key); // Not revalidated either, a 304 would be served from the cache
+        if(entry && entry.expires > Date.now()) {
+            return JSON.parse(entry.body);
+        }
+
+        let resp;
+        let rawBody;
+        const headers = Object.assign({}, options.headers);
+        if(entry && entry.etag) {
+            headers["If-None-Match"] = entry.etag;
+        }
+        const fetch = this.cache.beginFetch(url);
+        let response;
+        try {
+            response = await this.request(method, url, auth, body, file, _route, short, Object.assign({}, options, {
+                _cached: true,
+                _onResponse: (res, raw) => {
+                    resp = res;
+                    rawBody = raw;
+                },
+                headers: headers
+            }));
+        } finally {
+            this.cache.endFetch(fetch);
+        }
+        if(resp && resp.statusCode === 304 && entry && fetch.invalidated) { // The cached entry is gone, so fetch the endpoint again
+            return this.request(method, url, auth, body, file, _route, short, Object.assign({}, options, {
+                cache: false
+            }));
+        }
+        if(!resp || fetch.invalidated) { // Responses which started before an invalidation may be stale
+            return response;
+        }
+        if(resp.statusCode === 304 && entry) {
+            entry.expires = Date.now() + this.cache.ttl(url);
+            await this.cache.set(key, entry);
+            return JSON.parse(entry.body);
+        }
+        if(resp.headers["content-type"] === "application/json") {
+            await this.cache.set(key, {
+                body: rawBody,
+                etag: resp.headers.etag || null,
+                expires: Date.now() + this.cache.ttl(url)
+            });
+        }
+        return response;
+    }
+
+    _coalesce(method, url, auth, body, file, _route, short, options) {
+        const key = `${auth ? "auth" : "anon"}:${url}?${body ? encodeQuery(body) : ""}${options.headers ? JSON.stringify(options.headers) : ""}`;
+        if(this.inflight[key]) {
+            return this._inflightJoins[key]();
+        }
+        const promise = this.request(method, url, auth, body, file, _route, short, Object.assign({}, options, {
+            _coalesced: true
+        }));
+        let waiters = 0;
+        // Callers may mutate the data (e.g. structure constructors), so all but the last to settle get a copy
+        const join = () => {
+            ++waiters;
+            return promise.then((data) => --waiters === 0 || typeof data !== "object" || data === null ? data : JSON.parse(JSON.stringify(data)));
+        };
+        this.inflight[key] = promise;
+        this._inflightJoins[key] = join;
+        const cleanup = () => {
+            if(this.inflight[key] === promise) {
+                delete this.inflight[key];
+                delete this._inflightJoins[key];
+            }
+        };
+        promise.then(cleanup, cleanup);
+        return join();
+    }
+
+    _createTransport(transport) {
+        if(transport && typeof transport.request === "function") {
+            return transport;
+        }
+        if(transport === "fetch") {
+            const FetchTransport = require("./FetchTransport");
+            return new FetchTransport({
+                baseURL: Endpoints.CLIENT_URL,
+                requestTimeout: this.requestTimeout
+            });
+        }
+        if(!transport || transport === "https") {
+            const HTTPSTransport = require("./HTTPSTransport");
+            return new HTTPSTransport({
+                agent: this.agent,
+                host: Endpoints.CLIENT_URL.replace("https://", ""),
+                requestTimeout: this.requestTimeout
+            });
+        }
+        throw new TypeError(`Invalid REST transport: ${transport}`);
+    }
+
+    _getBucket(route) {
+        const key = this._bucketKey(route);
+        if(!this.ratelimits[key]) {
+            this.ratelimits[key] = new SequentialBucket(1, this.latencyRef);
+        }
+        return this.ratelimits[key];
+    }
+
+    async _intercept(method, url, auth, body, file, _route, short, options) {
+        let context = {
+            auth: auth,
+            body: body,
+            file: file,
+            headers: Object.assign({}, options.headers),
+            method: method,
+            options: options,
+            response: undefined,
+            route: _route || this.routefy(url, method),
+            short: short,
+            url: url
+        };
+        for(const interceptor of this.interceptors.slice()) {
+            if(interceptor.request) {
+                context = (await interceptor.request(context)) || context;
+                if(context.response !== undefined) {
+                    break;
+                }
+            }
+        }
+        if(context.response === undefined) {
+            context.response = await this.request(context.method, context.url, context.auth, context.body, context.file, context.route, context.short, Object.assign({}, context.options, {
+                _intercepted: true,
+                headers: context.headers
+            }));
+        }
+        for(const interceptor of this.interceptors.slice()) {
+            if(interceptor.response) {
+                const response = await interceptor.response(context);
+                if(response !== undefined) {
+                    context.response = response;
+                }
+            }
+        }
+        return context.response;
+    }
+
+    _retryDelay(attempt) {
+        const delay = Math.min(this.retryPolicy.baseDelay * Math.pow(2, attempt - 1), this.retryPolicy.maxDelay);
+        if(!this.retryPolicy.jitter) {
+            return delay;
+        }
+        return Math.floor(delay / 2 + Math.random() * delay / 2);
+    }
+
+    _shouldRetry(method, attempts, statusCode, error) {
+        if(attempts >= this.retryPolicy.maxAttempts) {
+            return false;
+        }
+        const retryable = statusCode ? this.retryPolicy.statusCodes.includes(statusCode) : !!error && this.retryPolicy.errorCodes.includes(error.code);
+        if(!retryable) {
+            return false;
+        }
+        if(this.retryPolicy.idempotentMethods.includes(method)) {
+            return true;
+        }
+        // The request may have been processed already, so only retry when told it is safe to
+        const nonIdempotent = this.retryPolicy.retryNonIdempotent;
+        return nonIdempotent === true || (!!statusCode && Array.isArray(nonIdempotent) && nonIdempotent.includes(statusCode));
+    }
+
     toString() {
         return "[RequestHandler]";
     }
@@ -378,7 +803,9 @@ class RequestHandler {
             "baseURL",
             "userAgent",
             "ratelimits",
+            "bucketHashes",
             "requestTimeout",
+            "retryPolicy",
             "agent",
             "latencyRef",
             "globalBlock",
@@ -0,0 +1,201 @@
+"use strict";
+
+const Endpoints = require("./Endpoints");
+
+const DEFAULT_ROUTES = {
+    "/clubs/:id/preview": 60000,
+    "/clubs/:id/roles": 30000,
+    "/clubs/:id/widget": 60000,
+    "/invite/:code": 60000,
+    "/users/:id": 300000,
+    "/users/:id/profile": 60000
+};
+
+// Gateway dispatches and the endpoints whose responses they make stale
+const DISPATCH_INVALIDATIONS = {
+    CLUB_DELETE: (d) => [Endpoints.CLUB_PREVIEW(d.id), Endpoints.CLUB_ROLES(d.id), Endpoints.CLUB_WIDGET(d.id)],
+    CLUB_EMOJIS_UPDATE: (d) => [Endpoints.CLUB_PREVIEW(d.club_id)],
+    CLUB_ROLE_CREATE: (d) => [Endpoints.CLUB_ROLES(d.club_id)],
+    CLUB_ROLE_DELETE: (d) => [Endpoints.CLUB_ROLES(d.club_id)],
+    CLUB_ROLE_UPDATE: (d) => [Endpoints.CLUB_ROLES(d.club_id)],
+    CLUB_UPDATE: (d) => [Endpoints.CLUB_PREVIEW(d.id), Endpoints.CLUB_WIDGET(d.id)],
+    INVITE_CREATE: (d) => [Endpoints.INVITE(d.code)],
+    INVITE_DELETE: (d) => [Endpoints.INVITE(d.code)],
+    PRESENCE_UPDATE: (d) => d.user.username !== undefined ? [Endpoints.USER(d.user.id), Endpoints.USER_PROFILE(d.user.id)] : [],
+    USER_UPDATE: (d) => [Endpoints.USER(d.id), Endpoints.USER_PROFILE(d.id), Endpoints.USER("@me")]
+};
+
+function keyPath(key) {
+    return key.substring(key.indexOf(":") + 1).split("?")[0];
+}
+
+function routeTemplate(path) {
+    return path.replace(/\/\d{15,21}(?=\/|$)/g, "/:id").replace(/^\/invite\/[^/]+/, "/invite/:code");
+}
+
+/**
+* Caches REST responses to GET requests. Cached responses are served until their route's TTL runs out, after which they are revalidated with their ETag (if the server sent one)
+* The keys of the entries are indexed by endpoint path in memory, so invalidating an endpoint does not scan the storage. The index is built from `storage.keys()` the first time it is needed
+* @prop {Object} routes Object mapping route templates (e.g. "/users/:id") to the number of milliseconds responses to them are fresh for
+* @prop {Object} storage The storage backend holding the cache entries
+*/
+class ResponseCache {
+    /**
+    * Create a ResponseCache
+    * @arg {Object} [options] Cache options
+    * @arg {Object} [options.routes] Object mapping route templates to TTLs in milliseconds, merged with the defaults. Snowflakes are replaced with ":id" and invite codes with ":code" in templates. Set a route to null to stop caching it
+    * @arg {Object} [options.storage] The storage backend. Any object with Map-like `get(key)`, `set(key, entry)`, `delete(key)` and `keys()` methods, which may return promises (e.g. an adapter around AsyncStorage). Entries are plain JSON-serializable objects. Defaults to an in-memory Map
+    */
+    constructor(options = {}) {
+        this.routes = Object.assign({}, DEFAULT_ROUTES, options.routes);
+        this.storage = options.storage || new Map();
+        this._fetches = {};
+        this._index = null;
+    }
+
+    /**
+    * Register a request for an endpoint, so that its response is known to be stale if the endpoint is invalidated before it arrives
+    * @arg {String} path The path of the endpoint
+    * @returns {Object} The fetch, to be passed to endFetch(). Its `invalidated` property is set to true if the endpoint is invalidated during the request
+    */
+    beginFetch(path) {
+        const fetch = {
+            invalidated: false,
+            path: path
+        };
+        (this._fetches[path] || (this._fetches[path] = [])).push(fetch);
+        return fetch;
+    }
+
+    /**
+    * Remove all entries from the cache
+    * @returns {Promise}
+    */
+    async clear() {
+        for(const fetches of Object.values(this._fetches)) {
+            for(const fetch of fetches) {
+                fetch.invalidated = true;
+            }
+        }
+        this._index = Promise.resolve({});
+        for(const key of Array.from(await this.storage.keys())) {
+            await this.storage.delete(key);
+        }
+    }
+
+    /**
+    * Unregister a request registered with beginFetch()
+    * @arg {Object} fetch The fetch
+    */
+    endFetch(fetch) {
+        const fetches = this._fetches[fetch.path];
+        if(!fetches || !fetches.includes(fetch)) {
+            return;
+        }
+        fetches.splice(fetches.indexOf(fetch), 1);
+        if(fetches.length === 0) {
+            delete this._fetches[fetch.path];
+        }
+    }
+
+    /**
+    * Get a cache entry
+    * @arg {String} key The key of the entry
+    * @returns {Promise<Object?>} Resolves with the entry ({body, etag, expires}), or null if there is none
+    */
+    async get(key) {
+        return (await this.storage.get(key)) || null;
+    }
+
+    /**
+    * Remove the cached responses of an endpoint, for all query strings
+    * @arg {String} path The path of the endpoint (e.g. Endpoints.USER(userID))
+    * @returns {Promise}
+    */
+    async invalidate(path) {
+        if(this._fetches[path]) {
+            for(const fetch of this._fetches[path]) {
+                fetch.invalidated = true;
+            }
+        }
+        const index = await this._getIndex();
+        const keys = index[path];
+        if(!keys) {
+            return;
+        }
+        delete index[path];
+        for(const key of keys) {
+            await this.storage.delete(key);
+        }
+    }
+
+    /**
+    * Remove the cached responses made stale by a gateway dispatch
+    * @arg {Object} packet The dispatch packet
+    * @returns {Promise}
+    */
+    async invalidateDispatch(packet) {
+        if(!DISPATCH_INVALIDATIONS[packet.t] || !packet.d) {
+            return;
+        }
+        for(const path of DISPATCH_INVALIDATIONS[packet.t](packet.d)) {
+            await this.invalidate(path);
+        }
+    }
+
+    /**
+    * Build the key of a request
+    * @arg {String} path The path of the endpoint
+    * @arg {String} query The encoded query string, without the "?"
+    * @arg {Boolean} auth Whether the request is authorized
+    * @returns {String}
+    */
+    key(path, query, auth) {
+        return `${auth ? "auth" : "anon"}:${path}?${query}`;
+    }
+
+    /**
+    * Store a cache entry
+    * @arg {String} key The key of the entry
+    * @arg {Object} entry The entry
+    * @arg {String} entry.body The raw response body
+    * @arg {String?} entry.etag The ETag of the response
+    * @arg {Number} entry.expires Timestamp after which the entry must be revalidated
+    * @returns {Promise}
+    */
+    async set(key, entry) {
+        const index = await this._getIndex();
+        const path = keyPath(key);
+        (index[path] || (index[path] = new Set())).add(key);
+        await this.storage.set(key, entry);
+    }
+
+    /**
+    * Get how long responses of an endpoint are fresh for
+    * @arg {String} path The path of the endpoint
+    * @returns {Number?} The TTL in milliseconds, or null if the endpoint is not cached
+    */
+    ttl(path) {
+        const ttl = this.routes[routeTemplate(path)];
+        return typeof ttl === "number" ? ttl : null;
+    }
+
+    _getIndex() {
+        if(!this._index) {
+            this._index = Promise.resolve(this.storage.keys()).then((keys) => {
+                const index = {};
+                for(const key of Array.from(keys)) {
+                    const path = keyPath(key);
+                    (index[path] || (index[path] = new Set())).add(key);
+                }
+                return index;
+            }, (err) => {
+                this._index = null;
+                throw err;
+            });
+        }
+        return this._index;
+    }
+}
+
+module.exports = ResponseCache;
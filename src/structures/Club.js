@@ -501,7 +501,7 @@ class Club extends Base {
 
     /**
     * Get the audit logs for a club
-    * @arg {Number} [limit=50] The maximum number of entries to return
+    * @arg {Number | Object} [limit=50] The maximum number of entries to return, or an object of options (see Client.getClubAuditLogs)
     * @arg {String} [before] Get entries before this entry ID
     * @arg {Number} [actionType] Filter entries by action type
     * @returns {Promise<Object>} Resolves with an Object containing `users` and `audit_log_entries` keys
@@ -598,7 +598,7 @@ class Club extends Base {
 
     /**
     * Get a club's members via the REST API. REST mode is required to use this endpoint.
-    * @arg {Number} [limit=1] The max number of members to get (1 to 1000)
+    * @arg {Number | Object} [limit=1] The max number of members to get (1 to 1000), or an object of options (see Client.getRESTClubMembers)
     * @arg {String} [after] The highest user ID of the previous page
     * @returns {Promise<Array<Member>>}
     */
@@ -646,6 +646,24 @@ class Club extends Base {
         return this._client.getClubWidget.call(this._client, this.id);
     }
 
+    /**
+    * Iterate over the audit logs of the club, newest entries first
+    * @arg {Object} [options] Iteration options (see Client.iterateClubAuditLogs)
+    * @returns {AsyncIterableIterator<ClubAuditLogEntry>}
+    */
+    iterateAuditLogs(options) {
+        return this._client.iterateClubAuditLogs.call(this._client, this.id, options);
+    }
+
+    /**
+    * Iterate over the club's members via the REST API. REST mode is required to use this endpoint.
+    * @arg {Object} [options] Iteration options (see Client.iterateRESTClubMembers)
+    * @returns {AsyncIterableIterator<Member>}
+    */
+    iterateRESTMembers(options) {
+        return this._client.iterateRESTClubMembers.call(this._client, this.id, options);
+    }
+
     /**
     * Kick a member from the club
     * @arg {String} userID The ID of the member
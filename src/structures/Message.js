@@ -316,7 +316,7 @@ class Message extends Base {
     /**
     * Get a list of users who reacted with a specific reaction
     * @arg {String} reaction The reaction (Unicode string if Unicode emoji, `emojiName:emojiID` if custom emoji)
-    * @arg {Number} [limit=100] The maximum number of users to get
+    * @arg {Number | Object} [limit=100] The maximum number of users to get, or an object of options (see Client.getMessageReaction)
     * @arg {String} [before] Get users before this user ID
     * @arg {String} [after] Get users after this user ID
     * @returns {Promise<Array<User>>}
@@ -325,6 +325,16 @@ class Message extends Base {
         return this._client.getMessageReaction.call(this._client, this.channel.id, this.id, reaction, limit, before, after);
     }
 
+    /**
+    * Iterate over the users who reacted with a specific reaction
+    * @arg {String} reaction The reaction (Unicode string if Unicode emoji, `emojiName:emojiID` if custom emoji)
+    * @arg {Object} [options] Iteration options (see Client.iterateMessageReaction)
+    * @returns {AsyncIterableIterator<User>}
+    */
+    iterateReaction(reaction, options) {
+        return this._client.iterateMessageReaction.call(this._client, this.channel.id, this.id, reaction, options);
+    }
+
     /**
     * Pin the message
     * @returns {Promise}
@@ -70,12 +70,16 @@ class TextChannel extends ClubChannel {
     * @arg {Object} [content.embed] An embed object. See [the official Helselia API documentation entry](https://helselia.com/developers/docs/resources/channel#embed-object) for object structure
     * @arg {Boolean} [content.tts] Set the message TTS flag
     * @arg {Object} [file] A file object
-    * @arg {Buffer} file.file A buffer containing file data
+    * @arg {ArrayBuffer | AsyncIterable | Blob | Buffer | Object | ReadableStream | Uint8Array} file.file The file data. Objects with an `uri` property are treated as React Native file descriptors
+    * @arg {String} [file.contentType] The Content-Type of the file. Inferred from the file name if not specified
     * @arg {String} file.name What to name the file
+    * @arg {Object} [options] Request options
+    * @arg {Function} [options.onUploadProgress] Called with `(loaded, total)` while the file is uploaded. `total` is null if the size of the upload is unknown
+    * @arg {AbortSignal} [options.signal] A signal used to cancel the request
     * @returns {Promise<Message>}
     */
-    createMessage(content, file) {
-        return this.client.createMessage.call(this.client, this.id, content, file);
+    createMessage(content, file, options) {
+        return this.client.createMessage.call(this.client, this.id, content, file, options);
     }
 
     /**
@@ -149,7 +153,7 @@ class TextChannel extends ClubChannel {
     * Get a list of users who reacted with a specific reaction
     * @arg {String} messageID The ID of the message
     * @arg {String} reaction The reaction (Unicode string if Unicode emoji, `emojiName:emojiID` if custom emoji)
-    * @arg {Number} [limit=100] The maximum number of users to get
+    * @arg {Number | Object} [limit=100] The maximum number of users to get, or an object of options (see Client.getMessageReaction)
     * @arg {String} [before] Get users before this user ID
     * @arg {String} [after] Get users after this user ID
     * @returns {Promise<Array<User>>}
@@ -160,7 +164,7 @@ class TextChannel extends ClubChannel {
 
     /**
     * Get previous messages in the channel
-    * @arg {Number} [limit=50] The max number of messages to get
+    * @arg {Number | Object} [limit=50] The max number of messages to get, or an object of options (see Client.getMessages)
     * @arg {String} [before] Get messages before this message ID
     * @arg {String} [after] Get messages after this message ID
     * @arg {String} [around] Get messages around this message ID (does not work with limit > 100)
@@ -186,6 +190,26 @@ class TextChannel extends ClubChannel {
         return this.client.getChannelWebhooks.call(this.client, this.id);
     }
 
+    /**
+    * Iterate over the users who reacted with a specific reaction
+    * @arg {String} messageID The ID of the message
+    * @arg {String} reaction The reaction (Unicode string if Unicode emoji, `emojiName:emojiID` if custom emoji)
+    * @arg {Object} [options] Iteration options (see Client.iterateMessageReaction)
+    * @returns {AsyncIterableIterator<User>}
+    */
+    iterateMessageReaction(messageID, reaction, options) {
+        return this.client.iterateMessageReaction.call(this.client, this.id, messageID, reaction, options);
+    }
+
+    /**
+    * Iterate over previous messages in the channel
+    * @arg {Object} [options] Iteration options (see Client.iterateMessages)
+    * @returns {AsyncIterableIterator<Message>}
+    */
+    iterateMessages(options) {
+        return this.client.iterateMessages.call(this.client, this.id, options);
+    }
+
     /**
     * Pin a message
     * @arg {String} messageID The ID of the message
@@ -197,7 +221,7 @@ class TextChannel extends ClubChannel {
 
     /**
     * Purge previous messages in the channel with an optional filter (bot accounts only)
-    * @arg {Number} limit The max number of messages to search through, -1 for no limit
+    * @arg {Number | Object} limit The max number of messages to search through, -1 for no limit, or an object of options (see Client.purgeChannel)
     * @arg {Function} [filter] Optional filter function that returns a boolean when passed a Message object
     * @arg {String} [before] Get messages before this message ID
     * @arg {String} [after] Get messages after this message ID
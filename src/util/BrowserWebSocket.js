@@ -1,69 +1,12 @@
-let EventEmitter;
-try {
-    EventEmitter = require("eventemitter3");
-} catch(err) {
-    EventEmitter = require("events").EventEmitter;
-}
+"use strict";
 
-class BrowserWebSocketError extends Error {
-    constructor(message, event) {
-        super(message);
-        this.event = event;
-    }
-}
+const GlobalWebSocket = require("./GlobalWebSocket");
 
 /**
-* Represents a browser's websocket usable by Kiera
-* @extends EventEmitter
-* @prop {String} url The URL to connect to
+* [DEPRECATED] Represents a browser's websocket usable by Kiera. Use GlobalWebSocket, which also works outside of browsers
+* @extends GlobalWebSocket
 */
-class BrowserWebSocket extends EventEmitter {
-    constructor(url) {
-        super();
-
-        if(typeof window === "undefined") {
-            throw new Error("BrowserWebSocket cannot be used outside of a browser environment");
-        }
-
-        this._ws = new window.WebSocket(url);
-        this._ws.onopen = () => this.emit("open");
-        this._ws.onmessage = this._onMessage.bind(this);
-        this._ws.onerror = (event) => this.emit("error", new BrowserWebSocketError("Unknown error", event));
-        this._ws.onclose = (event) => this.emit("close", event.code, event.reason);
-    }
-
-    get readyState() {
-        return this._ws.readyState;
-    }
-
-    close(code, reason) {
-        return this._ws.close(code, reason);
-    }
-
-    removeEventListener(type, listener) {
-        return this.removeListener(type, listener);
-    }
-
-    send(data) {
-        return this._ws.send(data);
-    }
-
-    terminate() {
-        return this._ws.close();
-    }
-
-    async _onMessage(event) {
-        if(event.data instanceof window.Blob) {
-            this.emit("message", await event.data.arrayBuffer());
-        } else {
-            this.emit("message", event.data);
-        }
-    }
+class BrowserWebSocket extends GlobalWebSocket {
 }
 
-BrowserWebSocket.CONNECTING = 0;
-BrowserWebSocket.OPEN = 1;
-BrowserWebSocket.CLOSING = 2;
-BrowserWebSocket.CLOSED = 3;
-
 module.exports = BrowserWebSocket;
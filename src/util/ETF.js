@@ -0,0 +1,346 @@
+"use strict";
+
+// Pure JavaScript implementation of the subset of the Erlang External Term Format the gateway uses, with the same interface as erlpack
+// Does not depend on Buffer, TextEncoder or BigInt, which React Native does not always have
+
+const VERSION = 131;
+const NEW_FLOAT_EXT = 70;
+const SMALL_INTEGER_EXT = 97;
+const INTEGER_EXT = 98;
+const FLOAT_EXT = 99;
+const ATOM_EXT = 100;
+const SMALL_TUPLE_EXT = 104;
+const LARGE_TUPLE_EXT = 105;
+const NIL_EXT = 106;
+const STRING_EXT = 107;
+const LIST_EXT = 108;
+const BINARY_EXT = 109;
+const SMALL_BIG_EXT = 110;
+const LARGE_BIG_EXT = 111;
+const SMALL_ATOM_EXT = 115;
+const MAP_EXT = 116;
+const ATOM_UTF8_EXT = 118;
+const SMALL_ATOM_UTF8_EXT = 119;
+
+function encodeUTF8(str) {
+    const bytes = [];
+    for(let i = 0; i < str.length; ++i) {
+        let code = str.charCodeAt(i);
+        if(code >= 0xD800 && code <= 0xDBFF && i + 1 < str.length) {
+            const low = str.charCodeAt(i + 1);
+            if(low >= 0xDC00 && low <= 0xDFFF) {
+                code = 0x10000 + ((code - 0xD800) << 10) + (low - 0xDC00);
+                ++i;
+            }
+        }
+        if(code < 0x80) {
+            bytes.push(code);
+        } else if(code < 0x800) {
+            bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+        } else if(code < 0x10000) {
+            bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+        } else {
+            bytes.push(0xF0 | (code >> 18), 0x80 | ((code >> 12) & 0x3F), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+        }
+    }
+    return bytes;
+}
+
+function decodeUTF8(bytes, start, end) {
+    let str = "";
+    let i = start;
+    while(i < end) {
+        const byte = bytes[i++];
+        let code;
+        if(byte < 0x80) {
+            code = byte;
+        } else if(byte < 0xE0) {
+            code = ((byte & 0x1F) << 6) | (bytes[i++] & 0x3F);
+        } else if(byte < 0xF0) {
+            code = ((byte & 0x0F) << 12) | ((bytes[i++] & 0x3F) << 6) | (bytes[i++] & 0x3F);
+        } else {
+            code = ((byte & 0x07) << 18) | ((bytes[i++] & 0x3F) << 12) | ((bytes[i++] & 0x3F) << 6) | (bytes[i++] & 0x3F);
+        }
+        if(code >= 0x10000) {
+            code -= 0x10000;
+            str += String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+        } else {
+            str += String.fromCharCode(code);
+        }
+    }
+    return str;
+}
+
+// Little-endian magnitude bytes to a decimal string, in base 10^7 limbs so no step exceeds 2^53
+function bigToString(bytes, start, length) {
+    const limbs = [0];
+    for(let i = start + length - 1; i >= start; --i) {
+        let carry = bytes[i];
+        for(let j = 0; j < limbs.length; ++j) {
+            const value = limbs[j] * 256 + carry;
+            limbs[j] = value % 10000000;
+            carry = Math.floor(value / 10000000);
+        }
+        while(carry > 0) {
+            limbs.push(carry % 10000000);
+            carry = Math.floor(carry / 10000000);
+        }
+    }
+    let str = "" + limbs[limbs.length - 1];
+    for(let i = limbs.length - 2; i >= 0; --i) {
+        str += ("000000" + limbs[i]).slice(-7);
+    }
+    return str;
+}
+
+class Encoder {
+    constructor() {
+        this.bytes = [VERSION];
+    }
+
+    atom(name) {
+        const bytes = encodeUTF8(name);
+        this.bytes.push(SMALL_ATOM_UTF8_EXT, bytes.length);
+        this.push(bytes);
+    }
+
+    binary(bytes) {
+        this.bytes.push(BINARY_EXT);
+        this.uint32(bytes.length);
+        this.push(bytes);
+    }
+
+    encode(value) {
+        if(value === null || value === undefined) {
+            this.atom("nil");
+        } else if(typeof value === "boolean") {
+            this.atom(value ? "true" : "false");
+        } else if(typeof value === "number") {
+            this.number(value);
+        } else if(typeof value === "string") {
+            this.binary(encodeUTF8(value));
+        } else if(value instanceof Uint8Array) {
+            this.binary(value);
+        } else if(Array.isArray(value)) {
+            if(value.length === 0) {
+                this.bytes.push(NIL_EXT);
+                return;
+            }
+            this.bytes.push(LIST_EXT);
+            this.uint32(value.length);
+            for(const item of value) {
+                this.encode(item);
+            }
+            this.bytes.push(NIL_EXT);
+        } else if(typeof value === "object") {
+            const keys = Object.keys(value).filter((key) => value[key] !== undefined);
+            this.bytes.push(MAP_EXT);
+            this.uint32(keys.length);
+            for(const key of keys) {
+                this.binary(encodeUTF8(key));
+                this.encode(value[key]);
+            }
+        } else {
+            throw new TypeError(`Cannot encode ${typeof value} as ETF`);
+        }
+    }
+
+    number(value) {
+        if(Number.isInteger(value) && value >= 0 && value <= 255) {
+            this.bytes.push(SMALL_INTEGER_EXT, value);
+        } else if(Number.isInteger(value) && value >= -2147483648 && value <= 2147483647) {
+            this.bytes.push(INTEGER_EXT);
+            this.uint32(value >>> 0);
+        } else if(Number.isSafeInteger(value)) {
+            const digits = [];
+            let magnitude = Math.abs(value);
+            while(magnitude > 0) {
+                digits.push(magnitude % 256);
+                magnitude = Math.floor(magnitude / 256);
+            }
+            this.bytes.push(SMALL_BIG_EXT, digits.length, value < 0 ? 1 : 0);
+            this.push(digits);
+        } else {
+            const view = new DataView(new ArrayBuffer(8));
+            view.setFloat64(0, value);
+            this.bytes.push(NEW_FLOAT_EXT);
+            this.push(new Uint8Array(view.buffer));
+        }
+    }
+
+    push(bytes) {
+        for(let i = 0; i < bytes.length; ++i) {
+            this.bytes.push(bytes[i]);
+        }
+    }
+
+    uint32(value) {
+        this.bytes.push((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+    }
+}
+
+class Decoder {
+    constructor(data) {
+        this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.offset = 0;
+        if(this.uint8() !== VERSION) {
+            throw new Error("Invalid ETF version");
+        }
+    }
+
+    atom(length) {
+        const name = decodeUTF8(this.bytes, this.offset, this.offset + length);
+        this.offset += length;
+        if(name === "nil" || name === "null") {
+            return null;
+        }
+        if(name === "true") {
+            return true;
+        }
+        if(name === "false") {
+            return false;
+        }
+        return name;
+    }
+
+    big(length) {
+        const negative = this.uint8() === 1;
+        let value = 0;
+        for(let i = length - 1; i >= 0; --i) {
+            value = value * 256 + this.bytes[this.offset + i];
+        }
+        // Snowflakes and other integers beyond 2^53 lose precision as numbers
+        const result = Number.isSafeInteger(value) ? value : bigToString(this.bytes, this.offset, length);
+        this.offset += length;
+        if(!negative) {
+            return result;
+        }
+        return typeof result === "number" ? -result : "-" + result;
+    }
+
+    decode() {
+        const tag = this.uint8();
+        switch(tag) {
+            case NEW_FLOAT_EXT: {
+                const value = this.view.getFloat64(this.offset);
+                this.offset += 8;
+                return value;
+            }
+            case SMALL_INTEGER_EXT: {
+                return this.uint8();
+            }
+            case INTEGER_EXT: {
+                const value = this.view.getInt32(this.offset);
+                this.offset += 4;
+                return value;
+            }
+            case FLOAT_EXT: {
+                const value = parseFloat(decodeUTF8(this.bytes, this.offset, this.offset + 31));
+                this.offset += 31;
+                return value;
+            }
+            case ATOM_EXT:
+            case ATOM_UTF8_EXT: {
+                return this.atom(this.uint16());
+            }
+            case SMALL_ATOM_EXT:
+            case SMALL_ATOM_UTF8_EXT: {
+                return this.atom(this.uint8());
+            }
+            case SMALL_TUPLE_EXT: {
+                return this.list(this.uint8());
+            }
+            case LARGE_TUPLE_EXT: {
+                return this.list(this.uint32());
+            }
+            case NIL_EXT: {
+                return [];
+            }
+            case STRING_EXT: {
+                const length = this.uint16();
+                const value = decodeUTF8(this.bytes, this.offset, this.offset + length);
+                this.offset += length;
+                return value;
+            }
+            case LIST_EXT: {
+                const list = this.list(this.uint32());
+                this.decode(); // Tail, NIL_EXT for proper lists
+                return list;
+            }
+            case BINARY_EXT: {
+                const length = this.uint32();
+                const value = decodeUTF8(this.bytes, this.offset, this.offset + length);
+                this.offset += length;
+                return value;
+            }
+            case SMALL_BIG_EXT: {
+                return this.big(this.uint8());
+            }
+            case LARGE_BIG_EXT: {
+                return this.big(this.uint32());
+            }
+            case MAP_EXT: {
+                const arity = this.uint32();
+                const map = {};
+                for(let i = 0; i < arity; ++i) {
+                    const key = this.decode();
+                    map[key] = this.decode();
+                }
+                return map;
+            }
+            default: {
+                throw new Error(`Unsupported ETF tag ${tag} at offset ${this.offset - 1}`);
+            }
+        }
+    }
+
+    list(length) {
+        const list = new Array(length);
+        for(let i = 0; i < length; ++i) {
+            list[i] = this.decode();
+        }
+        return list;
+    }
+
+    uint16() {
+        const value = this.view.getUint16(this.offset);
+        this.offset += 2;
+        return value;
+    }
+
+    uint32() {
+        const value = this.view.getUint32(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    uint8() {
+        return this.bytes[this.offset++];
+    }
+}
+
+/**
+* Encode a value as ETF
+* @arg {*} data The value. Strings are encoded as binaries, null and undefined as the `nil` atom
+* @returns {Uint8Array}
+*/
+function pack(data) {
+    const encoder = new Encoder();
+    encoder.encode(data);
+    return new Uint8Array(encoder.bytes);
+}
+
+/**
+* Decode ETF data. Integers beyond Number.MAX_SAFE_INTEGER (e.g. snowflakes) are decoded as strings, binaries as UTF-8 strings
+* @arg {ArrayBuffer | Uint8Array} data The data
+* @returns {*}
+*/
+function unpack(data) {
+    return new Decoder(data).decode();
+}
+
+module.exports = {
+    pack,
+    unpack
+};
@@ -0,0 +1,83 @@
+"use strict";
+
+/* global WebSocket */
+
+let EventEmitter;
+try {
+    EventEmitter = require("eventemitter3");
+} catch(err) {
+    EventEmitter = require("events").EventEmitter;
+}
+
+class GlobalWebSocketError extends Error {
+    constructor(message, event) {
+        super(message);
+        this.event = event;
+    }
+}
+
+/**
+* Wraps the standard WebSocket API (browsers, React Native, Web Workers) in the `ws`-like interface Shard uses. Binary frames are received as ArrayBuffers, in the order they arrived even if some need decoding
+* @extends EventEmitter
+* @prop {Number} readyState The state of the connection, see the CONNECTING, OPEN, CLOSING and CLOSED constants
+*/
+class GlobalWebSocket extends EventEmitter {
+    /**
+    * Create a GlobalWebSocket
+    * @arg {String} url The URL to connect to
+    * @arg {Object} [options] WebSocket options
+    * @arg {Function} [options.WebSocket] The WebSocket implementation to use. Defaults to the global WebSocket
+    */
+    constructor(url, options = {}) {
+        super();
+
+        const WebSocketImpl = options.WebSocket || (typeof WebSocket !== "undefined" ? WebSocket : null);
+        if(!WebSocketImpl) {
+            throw new Error("No global WebSocket implementation found");
+        }
+
+        this._messageQueue = Promise.resolve();
+        this._ws = new WebSocketImpl(url);
+        this._ws.binaryType = "arraybuffer";
+        this._ws.onopen = () => this.emit("open");
+        this._ws.onmessage = this._onMessage.bind(this);
+        this._ws.onerror = (event) => this.emit("error", new GlobalWebSocketError(event && event.message || "Unknown error", event));
+        // Emitted after the frames received before it
+        this._ws.onclose = (event) => this._messageQueue.then(() => this.emit("close", event.code, event.reason));
+    }
+
+    get readyState() {
+        return this._ws.readyState;
+    }
+
+    close(code, reason) {
+        return this._ws.close(code, reason);
+    }
+
+    removeEventListener(type, listener) {
+        return this.removeListener(type, listener);
+    }
+
+    send(data) {
+        return this._ws.send(data);
+    }
+
+    terminate() {
+        return this._ws.close();
+    }
+
+    _onMessage(event) {
+        const data = event.data;
+        // Blobs (if binaryType is not supported) decode asynchronously, so frames are chained to keep zlib-stream data and sequence numbers in order
+        this._messageQueue = this._messageQueue.then(() => data && typeof data.arrayBuffer === "function" ? data.arrayBuffer() : data).then((message) => {
+            this.emit("message", message);
+        }).catch((err) => this.emit("error", err));
+    }
+}
+
+GlobalWebSocket.CONNECTING = 0;
+GlobalWebSocket.OPEN = 1;
+GlobalWebSocket.CLOSING = 2;
+GlobalWebSocket.CLOSED = 3;
+
+module.exports = GlobalWebSocket;
@@ -1,35 +1,250 @@
 "use strict";
 
+/* global Blob, fetch, FormData */
+
+const MIME_TYPES = {
+    gif: "image/gif",
+    jpeg: "image/jpeg",
+    jpg: "image/jpeg",
+    json: "application/json",
+    m4a: "audio/mp4",
+    mov: "video/quicktime",
+    mp3: "audio/mpeg",
+    mp4: "video/mp4",
+    ogg: "audio/ogg",
+    pdf: "application/pdf",
+    png: "image/png",
+    svg: "image/svg+xml",
+    txt: "text/plain",
+    wav: "audio/wav",
+    webm: "video/webm",
+    webp: "image/webp",
+    zip: "application/zip"
+};
+
+const encodeString = typeof TextEncoder !== "undefined" ? (str) => new TextEncoder().encode(str) : (str) => Buffer.from(str);
+
+function inferContentType(filename) {
+    const extension = filename && filename.includes(".") ? filename.substring(filename.lastIndexOf(".") + 1).toLowerCase() : null;
+    return MIME_TYPES[extension] || "application/octet-stream";
+}
+
+function isFileDescriptor(data) {
+    return data !== null && typeof data === "object" && data.constructor === Object && data.uri !== undefined;
+}
+
+function isBinary(data) {
+    return data instanceof Uint8Array
+        || data instanceof ArrayBuffer
+        || (typeof Blob !== "undefined" && data instanceof Blob)
+        || (data !== null && typeof data === "object" && (typeof data.getReader === "function" || typeof data[Symbol.asyncIterator] === "function" || isFileDescriptor(data)));
+}
+
+async function* readData(data) {
+    if(data instanceof Uint8Array) {
+        yield data;
+    } else if(typeof Blob !== "undefined" && data instanceof Blob) {
+        yield new Uint8Array(await data.arrayBuffer());
+    } else if(typeof data.getReader === "function") { // WHATWG ReadableStream
+        const reader = data.getReader();
+        try {
+            while(true) {
+                const {done, value} = await reader.read();
+                if(done) {
+                    break;
+                }
+                yield typeof value === "string" ? encodeString(value) : value;
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    } else if(typeof data[Symbol.asyncIterator] === "function") { // Node.js Readable and other async iterables
+        for await (const chunk of data) {
+            yield typeof chunk === "string" ? encodeString(chunk) : chunk;
+        }
+    } else if(isFileDescriptor(data)) {
+        if(typeof fetch === "undefined") {
+            throw new Error(`Cannot read file URI without fetch: ${data.uri}`);
+        }
+        const response = await fetch(data.uri);
+        yield new Uint8Array(await response.arrayBuffer());
+    }
+}
+
+function sizeOf(data) {
+    if(data instanceof Uint8Array) {
+        return data.byteLength;
+    }
+    if(typeof Blob !== "undefined" && data instanceof Blob) {
+        return data.size;
+    }
+    return null;
+}
+
+async function toBlob(data) {
+    if(typeof Blob !== "undefined" && data instanceof Blob) {
+        return data;
+    }
+    const chunks = [];
+    for await (const chunk of readData(data)) {
+        chunks.push(chunk);
+    }
+    return new Blob(chunks);
+}
+
+/**
+* Builds multipart/form-data request bodies. Attached data is only read when the body is streamed
+* @prop {String} boundary The multipart boundary
+* @prop {Array<Blob | Object | Uint8Array>} bufs The chunks of the body: part headers and attached data as passed to attach() (ArrayBuffers as Uint8Arrays, strings and objects encoded)
+* @prop {Boolean} hasStreams Whether the body contains data which can only be read once (streams and async iterables), so it cannot be sent again
+* @prop {Number?} length The byte length of the body, or null if it contains data of unknown length (streams and URIs)
+*/
 class MultipartData {
     constructor() {
-        this.boundary = "----------------Kiera";
-        this.bufs = [];
+        this.boundary = "----------------Kiera" + Math.random().toString(16).substring(2) + Date.now().toString(16);
+        this.parts = [];
+    }
+
+    get bufs() {
+        const bufs = [];
+        for(const part of this.parts) {
+            bufs.push(part.header);
+            if(part.data !== null) {
+                bufs.push(part.data);
+            }
+        }
+        return bufs;
     }
 
-    attach(fieldName, data, filename) {
+    get hasStreams() {
+        return this.parts.some((part) => part.data !== null && !(part.data instanceof Uint8Array) && !(typeof Blob !== "undefined" && part.data instanceof Blob) && !isFileDescriptor(part.data));
+    }
+
+    get hasURIs() {
+        return this.parts.some((part) => isFileDescriptor(part.data));
+    }
+
+    get length() {
+        let length = 0;
+        for(const part of this.parts) {
+            const size = part.data === null ? 0 : sizeOf(part.data);
+            if(size === null) {
+                return null;
+            }
+            length += part.header.byteLength + size;
+        }
+        return length;
+    }
+
+    /**
+    * Attach data to the body
+    * @arg {String} fieldName The name of the form field
+    * @arg {ArrayBuffer | AsyncIterable | Blob | Object | ReadableStream | String | Uint8Array} data The data. Plain objects are serialized as JSON, unless they are file descriptors with an `uri` property (React Native)
+    * @arg {String} [filename] The name of the file
+    * @arg {String} [contentType] The Content-Type of the data. Inferred from the filename if not specified
+    */
+    attach(fieldName, data, filename, contentType) {
         if(data === undefined) {
             return;
         }
+        let text;
         let str = "\r\n--" + this.boundary + "\r\nContent-Disposition: form-data; name=\"" + fieldName + "\"";
         if(filename) {
             str += "; filename=\"" + filename + "\"";
         }
-        if(data instanceof Buffer) {
-            str +="\r\nContent-Type: application/octet-stream";
+        if(isBinary(data)) {
+            if(data instanceof ArrayBuffer) {
+                data = new Uint8Array(data);
+            }
+            str += "\r\nContent-Type: " + (contentType || data.type || inferContentType(filename || data.name));
         } else if(typeof data === "object") {
-            str +="\r\nContent-Type: application/json";
-            data = Buffer.from(JSON.stringify(data));
+            str += "\r\nContent-Type: application/json";
+            data = encodeString(text = JSON.stringify(data));
         } else {
-            data = Buffer.from("" + data);
+            data = encodeString(text = "" + data);
         }
-        this.bufs.push(Buffer.from(str + "\r\n\r\n"));
-        this.bufs.push(data);
+        this.parts.push({
+            data: data,
+            fieldName: fieldName,
+            filename: filename,
+            header: encodeString(str + "\r\n\r\n"),
+            text: text
+        });
     }
 
+    /**
+    * Terminate the body. No data may be attached afterwards
+    * @returns {Array<Blob | Object | Uint8Array>} The chunks of the body, see `bufs`
+    */
     finish() {
-        this.bufs.push(Buffer.from("\r\n--" + this.boundary + "--"));
+        this.parts.push({
+            data: null,
+            header: encodeString("\r\n--" + this.boundary + "--")
+        });
         return this.bufs;
     }
+
+    /**
+    * Read the body chunk by chunk, without holding all of it in memory
+    * @returns {AsyncIterableIterator<Uint8Array>}
+    */
+    async *stream() {
+        for(const part of this.parts) {
+            yield part.header;
+            if(part.data !== null) {
+                yield* readData(part.data);
+            }
+        }
+    }
+
+    /**
+    * Build a Blob of the body. Blob parts are referenced rather than copied, other streamed parts are read into memory
+    * @returns {Promise<Blob>}
+    */
+    async toBlob() {
+        const chunks = [];
+        for(const part of this.parts) {
+            chunks.push(part.header);
+            if(part.data === null) {
+                continue;
+            }
+            if(part.data instanceof Uint8Array || (typeof Blob !== "undefined" && part.data instanceof Blob)) {
+                chunks.push(part.data);
+            } else {
+                for await (const chunk of readData(part.data)) {
+                    chunks.push(chunk);
+                }
+            }
+        }
+        return new Blob(chunks);
+    }
+
+    /**
+    * Build a FormData of the body, so platforms which support file descriptors (React Native) can stream them from disk. FormData picks its own boundary, so the Content-Type header must not be set by hand
+    * @returns {Promise<FormData>}
+    */
+    async toFormData() {
+        const form = new FormData();
+        for(const part of this.parts) {
+            if(part.data === null) {
+                continue;
+            }
+            if(isFileDescriptor(part.data)) {
+                form.append(part.fieldName, {
+                    name: part.filename || part.data.name,
+                    type: part.data.type || inferContentType(part.filename || part.data.name),
+                    uri: part.data.uri
+                });
+            } else if(part.filename) {
+                form.append(part.fieldName, await toBlob(part.data), part.filename);
+            } else if(part.text !== undefined) {
+                form.append(part.fieldName, part.text);
+            } else {
+                form.append(part.fieldName, await toBlob(part.data));
+            }
+        }
+        return form;
+    }
 }
 
 module.exports = MultipartData;
@@ -5,6 +5,7 @@
 * TODO: add latencyref
 * @prop {Number} limit How many tokens the bucket can consume in the current interval
 * @prop {Boolean} processing Whether the queue is being processed
+* @prop {Number} queueLength How many functions are waiting in the queue
 * @prop {Number} remaining How many tokens the bucket has left in the current interval
 * @prop {Number} reset Timestamp of next reset
 */
@@ -23,6 +24,10 @@ class SequentialBucket {
         this._queue = [];
     }
 
+    get queueLength() {
+        return this._queue.length;
+    }
+
     check(override) {
         if(this._queue.length === 0) {
             if(this.processing) {
@@ -59,6 +64,20 @@ class SequentialBucket {
         });
     }
 
+    /**
+    * Remove something from the SequentialBucket's queue before it is called
+    * @arg {Function} func The function that was passed to queue()
+    * @returns {Boolean} Whether the function was found in the queue
+    */
+    dequeue(func) {
+        const index = this._queue.indexOf(func);
+        if(index === -1) {
+            return false;
+        }
+        this._queue.splice(index, 1);
+        return true;
+    }
+
     /**
     * Queue something in the SequentialBucket
     * @arg {Function} func A function to call when a token can be consumed. The function will be passed a callback argument, which must be called to allow the bucket to continue to work